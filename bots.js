@@ -0,0 +1,235 @@
+import { io as connect } from "socket.io-client";
+import { decodeHtml } from "./questionTypes.js";
+
+// Bot players: simulated players that connect to the server the way a player's phone does and play through the
+// same player:join, submitAnswer and player:nextQuestion events, so the server can't tell them apart
+// The host adds them to fill a practice game (room:addBots in roomHandler.js) and scripts/simulatePlayers.js
+// runs hundreds of them against a room to see how the server copes
+// A bot's skill is set per difficulty, anything left out comes from DEFAULT_BOT_SKILL:
+// { easy: { accuracy: 0.8, responseTime: { mean: 4000, spread: 1500 } }, medium: {...}, hard: {...} }
+// accuracy     - chance of picking the right answer, from 0 to 1
+// responseTime - milliseconds the bot takes to answer, normally distributed around mean with spread as the
+//                standard deviation, a bot slower than the question's time limit misses the question
+// Bots only know the right answer when they are given an answer key (see roomAnswerKey), otherwise they guess
+
+const DEFAULT_BOT_SKILL = {
+  easy: { accuracy: 0.8, responseTime: { mean: 4000, spread: 1500 } },
+  medium: { accuracy: 0.6, responseTime: { mean: 6000, spread: 2000 } },
+  hard: { accuracy: 0.4, responseTime: { mean: 8000, spread: 2500 } }
+};
+const MIN_RESPONSE_TIME = 500;
+const JOIN_TIMEOUT = 10000;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const normalizeLevel = (level, defaults) => {
+  const responseTime = (level && level.responseTime) || {};
+  const accuracy = Number(level && level.accuracy);
+  const mean = Number(responseTime.mean);
+  const spread = Number(responseTime.spread);
+  return {
+    accuracy: level && level.accuracy !== undefined && Number.isFinite(accuracy) ? clamp(accuracy, 0, 1) : defaults.accuracy,
+    responseTime: {
+      mean: responseTime.mean !== undefined && mean >= 0 ? mean : defaults.responseTime.mean,
+      spread: responseTime.spread !== undefined && spread >= 0 ? spread : defaults.responseTime.spread
+    }
+  };
+};
+
+// A single { accuracy, responseTime } is used for every difficulty
+const normalizeBotSkill = (skill) => {
+  const isLevel = skill && typeof skill === "object" && ("accuracy" in skill || "responseTime" in skill);
+  const levels = {};
+  Object.entries(DEFAULT_BOT_SKILL).forEach(([difficulty, defaults]) => {
+    levels[difficulty] = normalizeLevel(isLevel ? skill : skill && skill[difficulty], defaults);
+  });
+  return levels;
+};
+
+// Normally distributed (Box-Muller transform), never quicker than MIN_RESPONSE_TIME
+const sampleResponseTime = ({ mean, spread }) => {
+  const normal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  return Math.max(MIN_RESPONSE_TIME, Math.round(mean + normal * spread));
+};
+
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+// The answer a bot sends, in the form submitAnswer takes (see parseAnswer in questionTypes.js)
+// input is what every player is sent with a question: { questionType, answerLabels }
+// question comes from the answer key, with its correct answer, it is null when the bot has to guess
+const pickBotAnswer = (input, question, accuracy) => {
+  const right = Boolean(question) && Math.random() < accuracy;
+  const labels = input.answerLabels || [];
+
+  if (labels.length > 0) {
+    const correct = question ? question.allAnswers.indexOf(question.correct_answer) + 1 : 0;
+    if (right && correct > 0) return correct;
+    return randomItem(labels.map((label, index) => index + 1).filter((answer) => answer !== correct));
+  }
+
+  if (input.questionType === "numeric") {
+    const target = question ? Number(decodeHtml(question.correct_answer).replace(/,/g, "")) : NaN;
+    if (!Number.isFinite(target)) return Math.round(Math.random() * 100);
+    if (right) return target;
+    // Off by up to half the answer, and by at least 1
+    return target + randomItem([-1, 1]) * Math.max(1, Math.round(Math.abs(target) * Math.random() * 0.5));
+  }
+
+  return right ? decodeHtml(question.correct_answer) : "No idea";
+};
+
+// Answer key for bots that play next to someone who knows the answers: getRoom returns the room on the server,
+// or the game master view when the answers come from the host (both have rounds and currentProgress)
+// Returns { question, difficulty } for a question id, null when the question isn't known
+const roomAnswerKey = (getRoom) => (questionId) => {
+  const room = getRoom();
+  const questions = room && room.currentProgress.roundQuestions;
+  const question = questions && questions[questionId];
+  if (!question) return null;
+
+  // Self-paced questions carry their round (see flattenRounds in selfPaced.js)
+  const round = room.rounds[question.roundIndex !== undefined ? question.roundIndex : room.currentProgress.roundIndex];
+  return { question, difficulty: round ? round.difficulty : null };
+};
+
+// Connects a bot to the server at url and joins roomId as name
+// Resolves with the bot once it has joined: { name, socket, stats, ended, stop }
+// stats counts what the bot did (answers accepted, errors, missed questions) and ackTimes, how long the server
+// took to acknowledge each answer in milliseconds
+// ended resolves when the game ends, the room closes or the bot is removed
+// Rejects with the server's error when the bot can't join
+// botToken is the one-time token room:addBots hands out so the server flags the player as a bot when it joins
+const createBot = ({ url, roomId, name, skill, answerKey = null, team, botToken }) => {
+  const levels = normalizeBotSkill(skill);
+  const socket = connect(url, { transports: ["websocket"], forceNew: true, reconnection: false });
+  const stats = { answers: 0, errors: 0, missed: 0, ackTimes: [] };
+  const timers = new Set();
+  let difficulty = "easy"; // The round's difficulty when the bot joined, for questions the answer key doesn't know
+  let questionTimer = null; // The answer the bot is about to send for the open question
+  let answered = false; // The bot has answered the open question, so it isn't answered again when the quiz resumes
+  let endGame;
+  const ended = new Promise((resolve) => { endGame = resolve; });
+
+  const later = (fn, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timers.add(timer);
+    return timer;
+  };
+
+  const stop = () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    socket.disconnect();
+    endGame();
+  };
+
+  const levelFor = (key) => levels[(key && key.difficulty) || difficulty] || levels.easy;
+
+  const submit = (questionId, input, done) => {
+    const key = answerKey ? answerKey(questionId) : null;
+    const answer = pickBotAnswer(input, key && key.question, levelFor(key).accuracy);
+    const sentAt = Date.now();
+    socket.emit("submitAnswer", { roomId, answer, submissionId: `${name}-${sentAt}` }, (err) => {
+      stats.ackTimes.push(Date.now() - sentAt);
+      if (err) {
+        stats.errors += 1;
+      } else {
+        stats.answers += 1;
+      }
+      if (done) done();
+    });
+  };
+
+  // Answers a question after the bot's response time, unless that is after the question's deadline
+  // timing is what players are sent with a question (see getQuestionTiming in roomHandler.js)
+  const answerQuestion = (timing, done) => {
+    clearTimeout(questionTimer);
+    if (!timing || timing.questionClosed || timing.paused) return;
+
+    const key = answerKey ? answerKey(timing.questionId) : null;
+    const delay = sampleResponseTime(levelFor(key).responseTime);
+    const clockOffset = timing.serverTime - Date.now();
+    if (timing.deadline && Date.now() + clockOffset + delay >= timing.deadline) {
+      stats.missed += 1;
+      if (done) later(done, Math.max(0, timing.deadline - (Date.now() + clockOffset)));
+      return;
+    }
+
+    questionTimer = later(() => {
+      answered = true;
+      submit(timing.questionId, timing, done);
+    }, delay);
+  };
+
+  // Self-paced quizzes: the bot moves on to its next question as soon as it has answered (or missed) one
+  const playSelfPaced = (view) => {
+    if (view.finished) return;
+    if (view.question && !view.question.answered) {
+      answerQuestion({ ...view.question, serverTime: view.serverTime }, () =>
+        playSelfPaced({ ...view, question: { ...view.question, answered: true } }));
+      return;
+    }
+    socket.emit("player:nextQuestion", { roomId, questionId: view.questionId }, (err, next) => {
+      if (err) {
+        stats.errors += 1;
+        return;
+      }
+      playSelfPaced(next);
+    });
+  };
+
+  const newQuestion = (timing) => {
+    answered = false;
+    answerQuestion(timing);
+  };
+
+  socket.on("quiz:started", (data) => newQuestion(data.timing));
+  socket.on("quiz:nextQuestion", newQuestion);
+  socket.on("quiz:roundStart", (data) => newQuestion(data.timing));
+  socket.on("quiz:questionSkipped", (data) => newQuestion(data.timing));
+  socket.on("quiz:questionReasked", (data) => newQuestion(data.timing));
+  socket.on("quiz:resumed", (data) => {
+    if (!answered) answerQuestion(data.timing);
+  });
+  socket.on("quiz:paused", () => clearTimeout(questionTimer));
+  socket.on("quiz:questionClosed", () => clearTimeout(questionTimer));
+  socket.on("quiz:restarted", (data) => {
+    answered = false;
+    if (data.room.selfPaced) playSelfPaced(data.room.selfPaced);
+  });
+  socket.on("quiz:endOfGame", () => {
+    clearTimeout(questionTimer);
+    endGame();
+  });
+  socket.on("room:closed", stop);
+  socket.on("player:kicked", stop);
+  socket.on("disconnect", stop);
+
+  return new Promise((resolve, reject) => {
+    const fail = (error) => {
+      stop();
+      reject(error);
+    };
+    const joinTimer = setTimeout(() => fail(new Error(`Bot ${name} timed out joining room ${roomId}`)), JOIN_TIMEOUT);
+
+    socket.once("connect_error", (error) => {
+      clearTimeout(joinTimer);
+      fail(error);
+    });
+    socket.once("connect", () => {
+      socket.emit("player:join", { roomId, name, team, botToken }, (err, room) => {
+        clearTimeout(joinTimer);
+        if (err) return fail(Object.assign(new Error(err.message), { code: err.code }));
+
+        if (room.round && room.round.difficulty) difficulty = room.round.difficulty;
+        if (room.selfPaced) playSelfPaced(room.selfPaced);
+        resolve({ name, socket, stats, ended, stop });
+      });
+    });
+  });
+};
+
+export { DEFAULT_BOT_SKILL, normalizeBotSkill, sampleResponseTime, pickBotAnswer, roomAnswerKey, createBot };
@@ -0,0 +1,264 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { decodeHtml } from "./questionTypes.js";
+import { createJsonDirectory } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Game history: every finished game is archived with its questions, each player's answers and the standings
+// A room keeps the rounds played so far in room.gameLog (recordRound is called at the end of every round, before
+// nextRound clears the players' answers), archiveGame adds the final standings once the game ends
+// Games are stored as JSON files in GAME_HISTORY_DIR (defaults to data/games):
+// {
+//   "id": "k3Jd9s_1", "roomId": "123456", "startedAt": 1700000000000, "finishedAt": 1700000900000,
+//   "settings": { "questionSource": "opentdb", "scoring": ["speed"], "teamScoring": null, "playerGroup": null,
+//     "selfPaced": false },
+//   "players": [{ "name": "Ann", "profileId": "...", "team": "Sales", "totalScore": 12, "overallRank": 1 }],
+//   "teamStandings": [...] or null,
+//   "rounds": [{
+//     "roundNumber": 1, "title": "Film", "difficulty": "easy", "questionType": "multiple",
+//     "questions": [{ "questionNumber": 1, "question": "...", "correctAnswer": "...", "category": "...", "skipped": false,
+//       "answers": [{ "name": "Ann", "profileId": "...", "team": "Sales", "answer": "...", "isCorrect": true, "points": 2,
+//         "responseTime": 3120 }] }],
+//     "standings": [{ "rank": 1, "name": "Ann", "team": "Sales", "score": 7 }]
+//   }]
+// }
+// Question and answer text is kept HTML encoded, as the question providers send it
+// profileId links the player to their profile (see profiles.js), it is null for players without one and is
+// left out of everything the endpoints send (see publicGame)
+
+const gameStore = createJsonDirectory(() => process.env.GAME_HISTORY_DIR || path.join(__dirname, "data", "games"));
+
+const teamName = (room, teamId) => {
+  const team = (room.teams || []).find((t) => t.id === teamId);
+  return team ? team.name : null;
+};
+
+// The text of a player's answer: the picked answer for multiple choice and True/False, the typed answer otherwise
+const answerText = (question, answer) =>
+  question.allAnswers.length > 0 ? question.allAnswers[answer - 1] : String(answer);
+
+const recordAnswer = (room, player, questionId, question) => {
+  const submission = player.currentRoundSubmissions[questionId];
+  const breakdown = player.currentRoundPoints[questionId];
+  return {
+    name: player.name,
+    profileId: player.profileId,
+    team: teamName(room, player.team),
+    answer: submission ? answerText(question, submission.answer) : null,
+    isCorrect: player.currentRoundAnswers[questionId] === true,
+    points: breakdown ? breakdown.points : 0,
+    responseTime: submission && breakdown ? breakdown.responseTime : null
+  };
+};
+
+// questionNumber is the question's number in its round
+const recordQuestion = (room, players, questionId, question, questionNumber) => ({
+  questionNumber,
+  question: question.question,
+  correctAnswer: question.correct_answer,
+  category: question.category,
+  type: question.type,
+  skipped: Boolean(question.skipped),
+  answers: question.skipped ? [] : players.map((player) => recordAnswer(room, player, questionId, question))
+});
+
+// Adds the current round to room.gameLog, with the answers to every question asked so far
+// A round recorded again (the last round is recorded at its end and at the end of the game) replaces the old entry
+const recordRound = (room) => {
+  if (room.selfPaced) {
+    recordSelfPacedRounds(room);
+    return;
+  }
+
+  const { roundIndex, roundNumber, roundQuestions, currentQuestion } = room.currentProgress;
+  const round = room.rounds[roundIndex];
+  if (!round || !roundQuestions) return;
+
+  const players = Object.values(room.players);
+  const questions = Object.entries(roundQuestions)
+    .filter(([questionId]) => Number(questionId) <= currentQuestion)
+    .map(([questionId, question]) => recordQuestion(room, players, questionId, question, Number(questionId)));
+
+  const standings = [...players]
+    .sort((a, b) => a.endOfRoundRank - b.endOfRoundRank || a.name.localeCompare(b.name))
+    .map((player) => ({
+      rank: player.endOfRoundRank,
+      name: player.name,
+      team: teamName(room, player.team),
+      score: player.currentRoundScore
+    }));
+
+  room.gameLog = [
+    ...room.gameLog.filter((entry) => entry.roundNumber !== roundNumber),
+    {
+      roundNumber,
+      title: round.title,
+      difficulty: round.difficulty,
+      questionType: round.questionType,
+      questions,
+      standings
+    }
+  ];
+};
+
+// Self-paced quizzes play every round as one list of questions (see selfPaced.js), so all the rounds are recorded
+// at the end of the game, split back up by the round each question came from
+// Round scores are the points for that round's questions, players with the same score share a rank
+const recordSelfPacedRounds = (room) => {
+  const players = Object.values(room.players);
+  const questions = Object.entries(room.currentProgress.roundQuestions || {});
+
+  room.gameLog = room.rounds.map((round, roundIndex) => {
+    const roundQuestions = questions.filter(([, question]) => question.roundIndex === roundIndex);
+    const scores = players
+      .map((player) => ({
+        player,
+        score: roundQuestions.reduce((total, [questionId]) => {
+          const breakdown = player.currentRoundPoints[questionId];
+          return total + (breakdown ? breakdown.points : 0);
+        }, 0)
+      }))
+      .sort((a, b) => b.score - a.score || a.player.name.localeCompare(b.player.name));
+
+    const standings = [];
+    scores.forEach(({ player, score }, index) => {
+      standings.push({
+        rank: index > 0 && scores[index - 1].score === score ? standings[index - 1].rank : index + 1,
+        name: player.name,
+        team: teamName(room, player.team),
+        score
+      });
+    });
+
+    return {
+      roundNumber: roundIndex + 1,
+      title: round.title,
+      difficulty: round.difficulty,
+      questionType: round.questionType,
+      questions: roundQuestions.map(([questionId, question]) =>
+        recordQuestion(room, players, questionId, question, question.roundQuestionId)),
+      standings
+    };
+  });
+};
+
+// Builds the archived game from a room at the end of its game and saves it in the background
+// Returns the game, its id is known straight away so the game master can be sent a link to the results
+const archiveGame = (room) => {
+  recordRound(room);
+
+  const game = {
+    id: gameStore.generateId(),
+    roomId: room.roomId,
+    startedAt: room.gameStartedAt,
+    finishedAt: Date.now(),
+    settings: {
+      questionSource: room.questionSource,
+      scoring: room.scoring,
+      teamScoring: room.teams ? room.teamScoring : null,
+      playerGroup: room.playerGroup,
+      selfPaced: Boolean(room.selfPaced)
+    },
+    players: Object.values(room.players)
+      .sort((a, b) => a.overallRank - b.overallRank || a.name.localeCompare(b.name))
+      .map((player) => ({
+        name: player.name,
+        profileId: player.profileId,
+        team: teamName(room, player.team),
+        totalScore: player.totalScore,
+        overallRank: player.overallRank
+      })),
+    teamStandings: room.teamStandings,
+    rounds: room.gameLog
+  };
+
+  saveGame(game).catch((error) => console.error(`Error saving game ${game.id}:`, error));
+  return game;
+};
+
+const saveGame = async (game) => {
+  await gameStore.save(game);
+  console.log(`Game archived: ${game.id} (room ${game.roomId})`);
+};
+
+// Returns null when the game doesn't exist
+const getGame = (id) => gameStore.get(id);
+
+// Summary shown in game lists (no rounds)
+const gameSummary = (game) => ({
+  id: game.id,
+  roomId: game.roomId,
+  startedAt: game.startedAt,
+  finishedAt: game.finishedAt,
+  playerCount: game.players.length,
+  roundCount: game.rounds.length,
+  winners: game.players.filter((player) => player.overallRank === 1).map((player) => player.name)
+});
+
+// Every archived game, newest first
+const loadGames = async () => (await gameStore.list()).sort((a, b) => b.finishedAt - a.finishedAt);
+
+const listGames = async () => (await loadGames()).map(gameSummary);
+
+// A game without its players' profile ids, which would let anyone play as them
+const publicGame = (game) => {
+  const withoutProfile = ({ profileId, ...player }) => player;
+  return {
+    ...game,
+    players: game.players.map(withoutProfile),
+    rounds: game.rounds.map((round) => ({
+      ...round,
+      questions: round.questions.map((question) => ({ ...question, answers: question.answers.map(withoutProfile) }))
+    }))
+  };
+};
+
+const CSV_HEADER = [
+  "round", "round_title", "question_number", "question", "correct_answer", "category", "player", "team",
+  "answer", "correct", "points", "response_time_ms", "round_rank", "final_rank", "total_score"
+];
+
+// Text a spreadsheet would read as a formula (eg. a typed answer of "=1+1") is prefixed with a quote
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+@\t]|^-\D/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per player per question, with the player's round and final standings
+// Text is decoded so the CSV opens as plain text in a spreadsheet
+const gameToCsv = (game) => {
+  const finalStandings = new Map(game.players.map((player) => [player.name, player]));
+  const rows = [CSV_HEADER];
+
+  game.rounds.forEach((round) => {
+    const roundRanks = new Map(round.standings.map((standing) => [standing.name, standing.rank]));
+    round.questions.forEach((question) => {
+      question.answers.forEach((answer) => {
+        const final = finalStandings.get(answer.name);
+        rows.push([
+          round.roundNumber,
+          round.title,
+          question.questionNumber,
+          decodeHtml(question.question),
+          decodeHtml(question.correctAnswer),
+          question.category,
+          answer.name,
+          answer.team,
+          answer.answer === null ? "" : decodeHtml(answer.answer),
+          answer.isCorrect,
+          answer.points,
+          answer.responseTime,
+          roundRanks.get(answer.name),
+          final ? final.overallRank : "",
+          final ? final.totalScore : ""
+        ]);
+      });
+    });
+  });
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+};
+
+export { recordRound, archiveGame, getGame, loadGames, listGames, gameSummary, publicGame, gameToCsv };
@@ -0,0 +1,51 @@
+import express from "express";
+import { getGame, listGames, publicGame, gameToCsv } from "./gameHistory.js";
+
+// REST endpoints for finished games, mounted at /api/games in index.js
+// GET /api/games                  - list game summaries, newest first
+// GET /api/games/:id              - a game with its rounds, questions and every player's answers
+// GET /api/games/:id/export?format=csv|json - download a game's results (JSON by default)
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listGames());
+  } catch (error) {
+    console.error("Error listing games:", error);
+    res.status(500).json({ error: true, message: "Failed to list games" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const game = await getGame(req.params.id);
+    if (!game) {
+      return res.status(404).json({ error: true, message: "Game not found" });
+    }
+    res.json(publicGame(game));
+  } catch (error) {
+    console.error("Error reading game:", error);
+    res.status(500).json({ error: true, message: "Failed to read game" });
+  }
+});
+
+router.get("/:id/export", async (req, res) => {
+  try {
+    const game = await getGame(req.params.id);
+    if (!game) {
+      return res.status(404).json({ error: true, message: "Game not found" });
+    }
+
+    const fileName = `trivia-results-${game.roomId}-${game.id}`;
+    if (req.query.format === "csv") {
+      res.attachment(`${fileName}.csv`).type("text/csv").send(gameToCsv(game));
+    } else {
+      res.attachment(`${fileName}.json`).type("application/json").send(JSON.stringify(publicGame(game), null, 2));
+    }
+  } catch (error) {
+    console.error("Error exporting game:", error);
+    res.status(500).json({ error: true, message: "Failed to export game" });
+  }
+});
+
+export default router;
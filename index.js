@@ -1,18 +1,27 @@
-import dotenv from "dotenv";
+import "dotenv/config"; // Load .env before the other modules read process.env
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import path from "path";
 import { fileURLToPath } from "url";
-import roomHandler from "./roomHandler.js";
+import roomHandler, { startRoomSweeper, restoreRooms } from "./roomHandler.js";
+import questionPackRoutes from "./questionPackRoutes.js";
+import gameHistoryRoutes from "./gameHistoryRoutes.js";
+import leaderboardRoutes from "./leaderboardRoutes.js";
+import profileRoutes from "./profileRoutes.js";
+import { loadProfiles } from "./profiles.js";
+import { flushRoomStore } from "./roomStore.js";
 
-dotenv.config();
 const app = express();
  
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/api/packs", questionPackRoutes);
+app.use("/api/games", gameHistoryRoutes);
+app.use("/api/leaderboards", leaderboardRoutes);
+app.use("/api/profiles", profileRoutes);
 
 const httpServer = createServer(app);
 
@@ -30,6 +39,15 @@ const io = new Server(httpServer, {
 // Use a Map for rooms to enable efficient lookups and modifications
 const rooms = new Map();
 
+// Bring back the rooms that were being played when the server last stopped (see roomStore.js)
+await restoreRooms(io, rooms);
+
+// Claimed player names are checked on every join, so profiles are read before any player can join
+await loadProfiles();
+
+// Close expired rooms and remove players who never rejoined
+startRoomSweeper(io, rooms);
+
 io.on("connection", (socket) => {
   console.log("connected", socket.id);
   console.log(`Total connections: ${io.sockets.sockets.size}`); // Get total connections
@@ -45,3 +63,11 @@ io.on("connection", (socket) => {
 
 const port = process.env.PORT || 8080;
 httpServer.listen(port, () => console.log(`Listening on port ${port}`));
+
+// Finish writing the rooms before stopping (SIGUSR2 is how nodemon restarts the server)
+["SIGINT", "SIGTERM", "SIGUSR2"].forEach((signal) => {
+  process.once(signal, async () => {
+    await flushRoomStore();
+    process.kill(process.pid, signal);
+  });
+});
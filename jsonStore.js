@@ -0,0 +1,112 @@
+import { readFile, writeFile, readdir, rename, unlink, mkdir } from "fs/promises";
+import path from "path";
+import shortid from "shortid";
+
+// Data kept as JSON files: question packs and finished games (a directory with one file per id, see
+// createJsonDirectory), question history and player profiles (a single file, see createJsonDocument)
+// Saved rooms (roomStore.js) use the same atomic writes
+
+// Reads a JSON file, fallback is returned when the file doesn't exist
+const readJsonFile = async (filePath, fallback = null) => {
+  try {
+    return JSON.parse(await readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Written to a temporary file first so a crash mid-write never leaves half a file behind
+const writeFileAtomic = async (filePath, text) => {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, text);
+  await rename(tempPath, filePath);
+};
+
+// Returns false when the file doesn't exist
+const removeFile = async (filePath) => {
+  try {
+    await unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+};
+
+// A directory of JSON documents, each saved as <id>.json, getDir returns the directory (read on every call so
+// tests and .env can change it)
+// Ids come from shortid, anything else is rejected so ids can't be used to escape the directory
+// get returns null and remove returns false when the document doesn't exist, list skips files it can't read
+const createJsonDirectory = (getDir) => {
+  const isValidId = (id) => typeof id === "string" && shortid.isValid(id);
+  const getPath = (id) => path.join(getDir(), `${id}.json`);
+
+  return {
+    isValidId,
+    generateId: () => shortid.generate(),
+    get: async (id) => (isValidId(id) ? readJsonFile(getPath(id)) : null),
+    save: (document) => writeFileAtomic(getPath(document.id), JSON.stringify(document, null, 2)),
+    remove: async (id) => (isValidId(id) ? removeFile(getPath(id)) : false),
+    list: async () => {
+      let files;
+      try {
+        files = await readdir(getDir());
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const documents = [];
+      for (const file of files.filter((name) => name.endsWith(".json"))) {
+        try {
+          const document = await readJsonFile(path.join(getDir(), file));
+          if (document) documents.push(document);
+        } catch (error) {
+          console.error(`Error reading ${file}, leaving it out:`, error);
+        }
+      }
+      return documents;
+    }
+  };
+};
+
+// A single JSON document kept in memory, getPath returns its file and label names it in error messages
+// load reads it the first time (a missing or unreadable file starts an empty document), save writes what it holds now
+// Saves are queued so two changes at the same time don't overwrite each other
+const createJsonDocument = (getPath, label) => {
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    if (!data) {
+      try {
+        data = (await readJsonFile(getPath())) || {};
+      } catch (error) {
+        console.error(`Error reading ${label}, starting a new one:`, error);
+        data = {};
+      }
+    }
+    return data;
+  };
+
+  const save = () => {
+    const json = JSON.stringify(data || {});
+    writeQueue = writeQueue.then(async () => {
+      try {
+        await writeFileAtomic(getPath(), json);
+      } catch (error) {
+        console.error(`Error saving ${label}:`, error);
+      }
+    });
+    return writeQueue;
+  };
+
+  // The document as it was last loaded, null until load has been called
+  const current = () => data;
+
+  return { load, save, current };
+};
+
+export { readJsonFile, writeFileAtomic, removeFile, createJsonDirectory, createJsonDocument };
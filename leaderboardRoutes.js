@@ -0,0 +1,31 @@
+import express from "express";
+import { getLeaderboard, listCategories } from "./leaderboards.js";
+
+// REST endpoints for leaderboards, mounted at /api/leaderboards in index.js
+// GET /api/leaderboards            - all-time leaderboard
+//     ?month=2026-10 (or current)  - only games finished that month
+//     ?category=<category name>    - only questions from that category
+//     ?playerGroup=<group>         - only that player group's games
+//     ?limit=50                    - number of players (up to 500)
+// GET /api/leaderboards/categories - categories that have been played
+const router = express.Router();
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(await getLeaderboard(req.query));
+  } catch (error) {
+    console.error("Error building leaderboard:", error);
+    res.status(500).json({ error: true, message: "Failed to build leaderboard" });
+  }
+});
+
+router.get("/categories", async (req, res) => {
+  try {
+    res.json(await listCategories());
+  } catch (error) {
+    console.error("Error listing leaderboard categories:", error);
+    res.status(500).json({ error: true, message: "Failed to list categories" });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+import { loadGames } from "./gameHistory.js";
+import { getDisplayName } from "./profiles.js";
+import { normalizePlayerGroup } from "./questionHistory.js";
+
+// Leaderboards worked out from the game history, only players with a profile (see profiles.js) are counted
+// - all-time - every archived game
+// - monthly - games that finished in a month of the server's time zone, eg. "2026-10" (a season for a weekly quiz)
+// - per category - only the questions from that category, eg. "Science: Computers"
+// playerGroup narrows any of them to one group's games (eg. the weekly office quiz, see questionHistory.js)
+// Overall leaderboards rank by points, then wins, category leaderboards by correct answers, then points
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// "2026-10" for the month a timestamp falls in
+const monthOf = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// "current" is this month, anything that isn't a month means every game
+const normalizeMonth = (month) => {
+  if (month === "current") return monthOf(Date.now());
+  return typeof month === "string" && MONTH_PATTERN.test(month) ? month : null;
+};
+
+const normalizeLimit = (limit) => {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_LIMIT) : DEFAULT_LIMIT;
+};
+
+// Players with the same score share a rank, the next rank skips (1, 1, 3)
+const rankEntries = (entries, compare) => {
+  const sorted = [...entries].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+  sorted.forEach((entry, index) => {
+    entry.rank = index > 0 && compare(sorted[index - 1], entry) === 0 ? sorted[index - 1].rank : index + 1;
+  });
+  return sorted;
+};
+
+const byPoints = (a, b) => b.points - a.points || b.wins - a.wins;
+const byCorrect = (a, b) => b.correct - a.correct || b.points - a.points;
+
+// Returns { month, category, playerGroup, players: [{ rank, name, games, wins, points, correct, answered, accuracy }] }
+// accuracy is the share of answered questions that were right (0-1)
+const getLeaderboard = async ({ month, category, playerGroup, limit } = {}) => {
+  month = normalizeMonth(month);
+  category = typeof category === "string" && category.trim() ? category.trim() : null;
+  playerGroup = normalizePlayerGroup(playerGroup);
+
+  const games = (await loadGames()).filter(
+    (game) =>
+      (!month || monthOf(game.finishedAt) === month) &&
+      (!playerGroup || game.settings.playerGroup === playerGroup)
+  );
+
+  const entries = new Map();
+  const entryFor = (profileId, name) => {
+    if (!entries.has(profileId)) {
+      entries.set(profileId, { name: getDisplayName(profileId, name), gameIds: new Set(), wins: 0, points: 0, correct: 0, answered: 0 });
+    }
+    return entries.get(profileId);
+  };
+
+  games.forEach((game) => {
+    game.rounds.forEach((round) => {
+      round.questions
+        .filter((question) => !question.skipped && (!category || question.category === category))
+        .forEach((question) => {
+          question.answers
+            .filter((answer) => answer.profileId)
+            .forEach((answer) => {
+              const entry = entryFor(answer.profileId, answer.name);
+              entry.gameIds.add(game.id);
+              if (answer.answer !== null) entry.answered += 1;
+              if (answer.isCorrect) entry.correct += 1;
+              if (category) entry.points += answer.points;
+            });
+        });
+    });
+
+    // Overall leaderboards use the final scores, which include anything not tied to one question
+    if (!category) {
+      game.players
+        .filter((player) => player.profileId)
+        .forEach((player) => {
+          const entry = entryFor(player.profileId, player.name);
+          entry.gameIds.add(game.id);
+          entry.points += player.totalScore;
+          if (player.overallRank === 1) entry.wins += 1;
+        });
+    }
+  });
+
+  const players = [...entries.values()].map(({ gameIds, name, wins, points, correct, answered }) => ({
+    rank: null,
+    name,
+    games: gameIds.size,
+    wins,
+    points,
+    correct,
+    answered,
+    accuracy: answered > 0 ? Math.round((correct / answered) * 1000) / 1000 : 0
+  }));
+
+  return {
+    month,
+    category,
+    playerGroup,
+    players: rankEntries(players, category ? byCorrect : byPoints).slice(0, normalizeLimit(limit))
+  };
+};
+
+// Categories that have been played, for the per-category leaderboards
+const listCategories = async () => {
+  const categories = new Set();
+  (await loadGames()).forEach((game) => {
+    game.rounds.forEach((round) => {
+      round.questions.forEach((question) => {
+        if (question.category) categories.add(question.category);
+      });
+    });
+  });
+  return [...categories].sort((a, b) => a.localeCompare(b));
+};
+
+// A player's own results, for their profile
+const getProfileStats = async (profileId) => {
+  let games = 0;
+  let wins = 0;
+  let points = 0;
+  (await loadGames()).forEach((game) => {
+    const player = game.players.find((p) => p.profileId === profileId);
+    if (!player) return;
+    games += 1;
+    points += player.totalScore;
+    if (player.overallRank === 1) wins += 1;
+  });
+  return { games, wins, points };
+};
+
+export { getLeaderboard, listCategories, getProfileStats };
@@ -0,0 +1,109 @@
+// Lobby moderation: player name rules, the profanity filter, text clean-up and bans
+// Every string a player sends goes through sanitizeText before it is stored or shown to anyone
+// Names must also pass validatePlayerName: 2-20 letters, numbers, spaces and - _ . '
+// Rooms can turn on the profanity filter (room.profanityFilter), and the host can ban players (room.bans)
+
+const MIN_NAME_LENGTH = 2;
+const MAX_NAME_LENGTH = 20;
+const DEFAULT_MAX_PLAYERS = 50;
+const MAX_PLAYERS_LIMIT = 200; // Most players a host can let into a room, MAX_PLAYERS_LIMIT in .env raises it (eg. for load tests)
+
+// Letters (any language), numbers, spaces and a few joining characters, no markup or symbols
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}\p{M} _.'-]*$/u;
+
+// Words a name may not contain when the room's profanity filter is on
+const BLOCKED_WORDS = [
+  "arse", "arsehole", "ass", "asshole", "bastard", "bitch", "bollocks", "cock", "cunt", "dick", "dickhead",
+  "fag", "faggot", "fuck", "fucker", "motherfucker", "nazi", "nigga", "nigger", "penis", "piss", "prick",
+  "pussy", "rape", "retard", "shit", "slut", "twat", "vagina", "wank", "wanker", "whore"
+];
+
+// Letters and numbers commonly used to dodge a filter (eg. "5h1t")
+const lookalikes = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "@": "a", $: "s", "!": "i" };
+
+// Removes control and invisible characters and anything that could be read as markup, collapses whitespace
+// and cuts the text to maxLength (if given). Anything that isn't a string becomes ""
+const sanitizeText = (value, maxLength = Infinity) => {
+  if (typeof value !== "string") return "";
+
+  return value
+    .normalize("NFC")
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g, "")
+    .replace(/[<>`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+};
+
+// Lower case, lookalike characters swapped for letters and accents removed, eg. "Sh1t" becomes "shit"
+const simplifyWord = (word) =>
+  word
+    .toLowerCase()
+    .replace(/[0134578@$!]/g, (character) => lookalikes[character])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+// True when a word of the name, or the whole name with its spaces and joining characters taken out
+// (eg. "F u c k"), is a blocked word or a blocked word with an "s" on the end
+const isProfane = (name) => {
+  const simplified = simplifyWord(name);
+  const words = [...simplified.split(/[^\p{L}]+/u), simplified.replace(/[^\p{L}]+/gu, "")];
+  return words.some((word) => word && (BLOCKED_WORDS.includes(word) || BLOCKED_WORDS.includes(word.replace(/s$/, ""))));
+};
+
+// Checks a player name that has been through sanitizeText
+// Returns null when the name is fine, otherwise the error to send back to the player
+const validatePlayerName = (name, { profanityFilter }) => {
+  if (name.length < MIN_NAME_LENGTH || name.length > MAX_NAME_LENGTH) {
+    return {
+      error: true,
+      code: "INVALID_NAME",
+      message: `Names must be between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH} characters.`
+    };
+  }
+  if (!NAME_PATTERN.test(name)) {
+    return {
+      error: true,
+      code: "INVALID_NAME",
+      message: "Names can only use letters, numbers, spaces and - _ . '"
+    };
+  }
+  if (profanityFilter && isProfane(name)) {
+    return { error: true, code: "INVALID_NAME", message: "Please choose a different name." };
+  }
+  return null;
+};
+
+// Names are compared without case, accents or lookalike characters, so "Ann" and "ANN" are the same player
+const nameKey = (name) => simplifyWord(name).replace(/\s+/g, " ").trim();
+
+const normalizeMaxPlayers = (maxPlayers) => {
+  const defaultMaxPlayers = Number(process.env.MAX_PLAYERS_PER_ROOM) || DEFAULT_MAX_PLAYERS;
+  const limit = Number(process.env.MAX_PLAYERS_LIMIT) || MAX_PLAYERS_LIMIT;
+  const value = Number(maxPlayers);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, limit) : defaultMaxPlayers;
+};
+
+// room.bans is a list of { name, profileId }, profileId is null for players without a profile (see profiles.js)
+// Bans don't use the player's address: players at an office event share one address behind NAT (or every player
+// does behind a proxy), so an address ban would lock out everyone else as well
+const createBan = (player) => ({
+  name: nameKey(player.name),
+  profileId: player.profileId || null
+});
+
+// A banned player can't come back under the same name or with the same profile
+const isBanned = (room, name, profileId) =>
+  room.bans.some((ban) => ban.name === nameKey(name) || (ban.profileId && ban.profileId === profileId));
+
+export {
+  MIN_NAME_LENGTH,
+  MAX_NAME_LENGTH,
+  sanitizeText,
+  isProfane,
+  validatePlayerName,
+  nameKey,
+  normalizeMaxPlayers,
+  createBan,
+  isBanned
+};
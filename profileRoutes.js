@@ -0,0 +1,38 @@
+import express from "express";
+import { normalizeProfileId, getProfile, releaseNickname } from "./profiles.js";
+import { getProfileStats } from "./leaderboards.js";
+
+// REST endpoints for a player's own profile, mounted at /api/profiles in index.js
+// The profile id is the player page's secret (see profiles.js), so only that page knows these URLs
+// GET    /api/profiles/:id          - the profile with the player's all-time results
+// DELETE /api/profiles/:id/nickname - give up the claimed name
+const router = express.Router();
+
+router.get("/:id", async (req, res) => {
+  try {
+    const profileId = normalizeProfileId(req.params.id);
+    const profile = profileId && await getProfile(profileId);
+    if (!profile) {
+      return res.status(404).json({ error: true, message: "Profile not found" });
+    }
+    res.json({ ...profile, stats: await getProfileStats(profileId) });
+  } catch (error) {
+    console.error("Error reading profile:", error);
+    res.status(500).json({ error: true, message: "Failed to read profile" });
+  }
+});
+
+router.delete("/:id/nickname", async (req, res) => {
+  try {
+    const released = await releaseNickname(normalizeProfileId(req.params.id));
+    if (!released) {
+      return res.status(404).json({ error: true, message: "Profile not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error releasing nickname:", error);
+    res.status(500).json({ error: true, message: "Failed to release nickname" });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { nameKey } from "./moderation.js";
+import { createJsonDocument } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Player profiles, so a player's results carry over between games
+// The player page makes up a profile id the first time it is opened and keeps it in localStorage (nt_player_id),
+// it is sent with player:join and player:rejoin and saved with the player in the game history
+// A player can also claim their name, after which nobody else can join any room under it
+// Profiles are stored as JSON in PROFILES_PATH (defaults to data/profiles.json):
+// { "<profile id>": { "nickname": "Ann" or null, "lastName": "Ann", "createdAt": ..., "lastSeenAt": ... } }
+// The profile id is only ever known to the player's own page, leaderboards show names, never ids
+
+// Long enough that profile ids can't be guessed, the player page uses a UUID
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+const profileStore = createJsonDocument(
+  () => process.env.PROFILES_PATH || path.join(__dirname, "data", "profiles.json"),
+  "player profiles"
+);
+
+// Anything that isn't a profile id means no profile (eg. an old player page)
+const normalizeProfileId = (profileId) =>
+  typeof profileId === "string" && PROFILE_ID_PATTERN.test(profileId) ? profileId : null;
+
+// Called once from index.js, so joins can check claimed names without waiting for the file
+const loadProfiles = () => profileStore.load();
+
+// The profile that has claimed a name, null when nobody has
+const getNameOwner = (name) => {
+  const key = nameKey(name);
+  const owner = Object.entries(profileStore.current() || {}).find(([, profile]) => profile.nickname && nameKey(profile.nickname) === key);
+  return owner ? owner[0] : null;
+};
+
+// True when the name has been claimed by a different profile
+const isNameClaimed = (name, profileId) => {
+  const owner = getNameOwner(name);
+  return Boolean(owner) && owner !== profileId;
+};
+
+// Records the name a profile last played under, creating the profile the first time it is seen
+// claimName also claims the name for the profile (a profile has one nickname, claiming another releases the old one)
+// Returns false when the name has been claimed by someone else in the meantime
+const recordProfile = async (profileId, name, { claimName = false } = {}) => {
+  if (!profileId) return false;
+  const profiles = await loadProfiles();
+
+  const now = Date.now();
+  const profile = profiles[profileId] || { nickname: null, lastName: name, createdAt: now, lastSeenAt: now };
+  profiles[profileId] = profile;
+  profile.lastName = name;
+  profile.lastSeenAt = now;
+
+  const claimed = claimName && !isNameClaimed(name, profileId);
+  if (claimed) {
+    profile.nickname = name;
+  }
+
+  await profileStore.save();
+  return !claimName || claimed;
+};
+
+// Gives up a profile's claimed name, returns false when the profile doesn't exist
+const releaseNickname = async (profileId) => {
+  const profiles = await loadProfiles();
+  if (!profileId || !profiles[profileId]) return false;
+
+  profiles[profileId].nickname = null;
+  await profileStore.save();
+  return true;
+};
+
+// Returns null when the profile doesn't exist
+const getProfile = async (profileId) => {
+  const profiles = await loadProfiles();
+  return profileId && profiles[profileId] ? { ...profiles[profileId] } : null;
+};
+
+// The name a profile is shown under on leaderboards: its claimed name, or the name it last played under
+const getDisplayName = (profileId, fallback) => {
+  const profiles = profileStore.current();
+  const profile = profiles && profiles[profileId];
+  if (!profile) return fallback;
+  return profile.nickname || profile.lastName || fallback;
+};
+
+export {
+  normalizeProfileId,
+  loadProfiles,
+  isNameClaimed,
+  recordProfile,
+  releaseNickname,
+  getProfile,
+  getDisplayName
+};
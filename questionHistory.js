@@ -0,0 +1,68 @@
+import { createHash } from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createJsonDocument } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Question history, used to keep repeats out of new rounds whatever the question source
+// Every room keeps the fingerprints of the questions it has used (room.questionHistory)
+// Rooms can also name a player group (eg. "friday-regulars") so questions aren't repeated across games
+// Player group histories are stored as JSON in QUESTION_HISTORY_PATH (defaults to data/question-history.json):
+// { "friday-regulars": { "<fingerprint>": <last used timestamp>, ... } }
+
+const MAX_GROUP_HISTORY = 5000; // Oldest questions are forgotten first
+const MAX_GROUP_LENGTH = 60;
+
+// Group names are keys in the history file, so they start with a letter or number (never "__proto__" or the like)
+const GROUP_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u;
+
+const historyStore = createJsonDocument(
+  () => process.env.QUESTION_HISTORY_PATH || path.join(__dirname, "data", "question-history.json"),
+  "question history"
+);
+
+// Identifies a question by its text and correct answer, so the same question from a different source still matches
+const fingerprintQuestion = (question) =>
+  createHash("sha1")
+    .update(`${question.question}\n${question.correct_answer}`.toLowerCase().replace(/\s+/g, " ").trim())
+    .digest("hex")
+    .slice(0, 16);
+
+// Player group names are case insensitive, anything that isn't text or doesn't fit GROUP_PATTERN means no group
+const normalizePlayerGroup = (group) => {
+  if (typeof group !== "string") return null;
+  const normalized = group.trim().toLowerCase().slice(0, MAX_GROUP_LENGTH);
+  return GROUP_PATTERN.test(normalized) ? normalized : null;
+};
+
+// Only the groups' own entries are read, never anything from Object.prototype (eg. a group named "constructor")
+const findGroupHistory = (allGroups, group) => (Object.hasOwn(allGroups, group) ? allGroups[group] : null);
+
+// Fingerprints of the questions a player group has already seen
+const getGroupHistory = async (group) => {
+  if (!group || normalizePlayerGroup(group) !== group) return [];
+  const history = findGroupHistory(await historyStore.load(), group);
+  return history ? Object.keys(history) : [];
+};
+
+// Adds questions to a player group's history and saves it
+const recordGroupHistory = async (group, fingerprints) => {
+  if (!group || normalizePlayerGroup(group) !== group || fingerprints.length === 0) return;
+
+  const allGroups = await historyStore.load();
+  const history = findGroupHistory(allGroups, group) || {};
+  const now = Date.now();
+  fingerprints.forEach((fingerprint) => {
+    history[fingerprint] = now;
+  });
+
+  const entries = Object.entries(history);
+  allGroups[group] = entries.length > MAX_GROUP_HISTORY
+    ? Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_GROUP_HISTORY))
+    : history;
+
+  return historyStore.save();
+};
+
+export { fingerprintQuestion, normalizePlayerGroup, getGroupHistory, recordGroupHistory };
@@ -0,0 +1,142 @@
+import express from "express";
+import {
+  parsePackQuestions,
+  validatePack,
+  packSummary,
+  savePack,
+  getPack,
+  listPacks,
+  deletePack,
+  getServerKey,
+  isPackKey
+} from "./questionPacks.js";
+
+// REST endpoints for custom question packs, mounted at /api/packs in index.js
+// GET    /api/packs          - list pack summaries
+// GET    /api/packs/:id      - a single pack, with its questions for the pack's key (its summary for anyone else)
+// POST   /api/packs          - upload a pack (server key)
+// POST   /api/packs/validate - check a pack without saving it
+// DELETE /api/packs/:id      - delete a pack (the pack's key)
+//
+// Keys are sent in the X-Pack-Key header: uploads need the server's key (QUESTION_PACKS_KEY, uploads are turned off
+// without one), each uploaded pack gets its own key, sent back once with the upload
+// A pack's questions (and their answers) are only sent with the pack's key or the server's key, and rooms need the
+// same key to play a pack round (see findLockedPacks in questionPacks.js), so players can't read the answers to a
+// round before it is played
+// Uploads are either JSON: { name, description, questions: [...] } or { name, description, format: "csv", content: "<csv text>" }
+// or a raw CSV body (Content-Type: text/csv) with the name and description in the query string
+const router = express.Router();
+
+const hasPackKey = (req, pack) => isPackKey(pack, req.get("X-Pack-Key"));
+
+// 401 without a key, 403 with the wrong one
+const keyError = (req, res, message) =>
+  res.status(req.get("X-Pack-Key") ? 403 : 401).json({ error: true, code: "NOT_AUTHORIZED", message });
+
+router.use(express.json({ limit: "1mb" }));
+router.use(express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }));
+
+// Builds a pack from the request body in any of the supported upload formats
+// Returns { pack, errors }, a body that can't be parsed at all comes back as an error
+const readPackUpload = (req) => {
+  const isCsvBody = typeof req.body === "string";
+  const body = isCsvBody ? { ...req.query, format: "csv", content: req.body } : req.body || {};
+
+  let questions;
+  try {
+    questions = body.format === "csv"
+      ? parsePackQuestions(body.content, "csv")
+      : parsePackQuestions(body.content !== undefined ? body.content : body.questions, "json");
+  } catch (error) {
+    return { pack: null, errors: [`Could not read pack: ${error.message}`] };
+  }
+
+  const pack = { name: body.name, description: body.description, questions };
+  return { pack, errors: validatePack(pack) };
+};
+
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listPacks());
+  } catch (error) {
+    console.error("Error listing question packs:", error);
+    res.status(500).json({ error: true, message: "Failed to list question packs" });
+  }
+});
+
+router.post("/validate", (req, res) => {
+  const { pack, errors } = readPackUpload(req);
+  res.json({
+    valid: errors.length === 0,
+    errors,
+    questionCount: pack && Array.isArray(pack.questions) ? pack.questions.length : 0
+  });
+});
+
+router.post("/", async (req, res) => {
+  if (!getServerKey()) {
+    return res.status(403).json({ error: true, code: "UPLOADS_DISABLED", message: "Question pack uploads are turned off" });
+  }
+  if (!hasPackKey(req, null)) {
+    return keyError(req, res, "A valid pack key is required to upload question packs");
+  }
+
+  const { pack, errors } = readPackUpload(req);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: true, message: "Invalid question pack", errors });
+  }
+
+  try {
+    const saved = await savePack(pack);
+    res.status(201).json({ ...packSummary(saved), key: saved.key });
+  } catch (error) {
+    console.error("Error saving question pack:", error);
+    res.status(500).json({ error: true, message: "Failed to save question pack" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const pack = await getPack(req.params.id);
+    if (!pack) {
+      return res.status(404).json({ error: true, message: "Question pack not found" });
+    }
+    if (!hasPackKey(req, pack)) {
+      return res.json(packSummary(pack));
+    }
+    const { key, ...withoutKey } = pack;
+    res.json(withoutKey);
+  } catch (error) {
+    console.error("Error reading question pack:", error);
+    res.status(500).json({ error: true, message: "Failed to read question pack" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const pack = await getPack(req.params.id);
+    if (!pack) {
+      return res.status(404).json({ error: true, message: "Question pack not found" });
+    }
+    if (!hasPackKey(req, pack)) {
+      return keyError(req, res, "The pack's key is required to delete it");
+    }
+
+    await deletePack(pack.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting question pack:", error);
+    res.status(500).json({ error: true, message: "Failed to delete question pack" });
+  }
+});
+
+// Malformed JSON bodies are reported in the same shape as other errors, as is anything else that goes wrong
+router.use((error, req, res, next) => {
+  if (error.type === "entity.parse.failed" || error.type === "entity.too.large") {
+    return res.status(error.status).json({ error: true, message: error.message });
+  }
+  console.error("Error handling question pack request:", error);
+  res.status(500).json({ error: true, message: "Failed to handle question pack request" });
+});
+
+export default router;
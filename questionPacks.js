@@ -0,0 +1,353 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateToken, tokensMatch } from "./tokens.js";
+import { createJsonDirectory } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Custom question packs, eg. questions about our own company and products
+// Each pack is stored as a JSON file in QUESTION_PACKS_DIR (defaults to data/packs):
+// {
+//   "id": "k3Jd9s_1", "name": "Company Quiz", "description": "...", "createdAt": 1700000000000, "key": "...",
+//   "questions": [{ "prompt": "...", "correctAnswer": "...", "distractors": ["...", "...", "..."], "category": "...", "difficulty": "easy" }]
+// }
+// Questions are multiple choice unless they have a type: "boolean" questions have "True" or "False" as the
+// correct answer and "numeric" questions a number, neither has distractors
+// key is the pack's own key for reading its questions and deleting it (see questionPackRoutes.js), packs saved
+// before packs had keys can only be managed with the server's key
+// Packs can be uploaded as JSON (the questions array above) or CSV with the header:
+// prompt,correct_answer,distractor_1,distractor_2,distractor_3,category,difficulty,type
+
+const PACK_ROUND_PREFIX = "pack:";
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const QUESTION_TYPES = ["multiple", "boolean", "numeric"];
+const BOOLEAN_ANSWERS = ["True", "False"];
+const DISTRACTOR_COUNT = 3; // Multiple choice questions always have four answers (A-D)
+const MAX_QUESTIONS = 500;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 300;
+
+const packStore = createJsonDirectory(() => process.env.QUESTION_PACKS_DIR || path.join(__dirname, "data", "packs"));
+
+// Parses CSV text into an array of rows (arrays of strings)
+// Supports quoted fields with commas, escaped quotes ("") and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// Turns CSV text into pack questions, the header row decides which column is which
+const questionsFromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const column = (row, name) => {
+    const index = columns.indexOf(name);
+    return index >= 0 && row[index] !== undefined ? row[index].trim() : "";
+  };
+
+  return rows.map((row) => ({
+    prompt: column(row, "prompt"),
+    correctAnswer: column(row, "correct_answer"),
+    distractors: columns
+      .filter((name) => name.startsWith("distractor"))
+      .map((name) => column(row, name))
+      .filter((value) => value !== ""),
+    category: column(row, "category") || undefined,
+    difficulty: column(row, "difficulty").toLowerCase() || undefined,
+    type: column(row, "type").toLowerCase() || undefined
+  }));
+};
+
+// Reads the questions out of an upload in either format
+// JSON may be the questions array itself or an object with a questions array
+const parsePackQuestions = (content, format) => {
+  if (format === "csv") {
+    return questionsFromCsv(String(content));
+  }
+
+  const data = typeof content === "string" ? JSON.parse(content) : content;
+  return Array.isArray(data) ? data : data.questions;
+};
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+const getQuestionType = (question) => question.type || "multiple";
+
+// Numeric questions in JSON uploads can have a number as their correct answer, it is kept as text like any other answer
+const getCorrectAnswer = (question) =>
+  getQuestionType(question) === "numeric" && typeof question.correctAnswer === "number"
+    ? String(question.correctAnswer)
+    : question.correctAnswer;
+
+// "true" and "false" are accepted in any case and saved as "True" and "False"
+const toBooleanAnswer = (answer) =>
+  BOOLEAN_ANSWERS.find((value) => value.toLowerCase() === String(answer).trim().toLowerCase());
+
+// Checks a pack and returns a list of problems, an empty list means the pack is valid
+const validatePack = (pack) => {
+  const errors = [];
+
+  if (!isText(pack.name)) {
+    errors.push("Pack name is required.");
+  } else if (pack.name.length > MAX_NAME_LENGTH) {
+    errors.push(`Pack name must be ${MAX_NAME_LENGTH} characters or less.`);
+  }
+
+  if (!Array.isArray(pack.questions) || pack.questions.length === 0) {
+    errors.push("Pack must contain at least one question.");
+    return errors;
+  }
+
+  if (pack.questions.length > MAX_QUESTIONS) {
+    errors.push(`Pack can contain at most ${MAX_QUESTIONS} questions.`);
+  }
+
+  pack.questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+
+    if (!question || typeof question !== "object") {
+      errors.push(`${label}: must be an object.`);
+      return;
+    }
+
+    const type = getQuestionType(question);
+    const correctAnswer = getCorrectAnswer(question);
+    if (!isText(question.prompt)) errors.push(`${label}: prompt is required.`);
+    if (typeof correctAnswer === "number") {
+      errors.push(`${label}: only numeric questions can have a number as the correct answer.`);
+    } else if (!isText(correctAnswer)) {
+      errors.push(`${label}: correct answer is required.`);
+    }
+
+    // Only multiple choice questions use distractors, anything other than a list is reported for them below
+    const distractors = Array.isArray(question.distractors) ? question.distractors : [];
+    const texts = [question.prompt, correctAnswer, ...distractors];
+    if (texts.some((text) => typeof text === "string" && text.length > MAX_TEXT_LENGTH)) {
+      errors.push(`${label}: text must be ${MAX_TEXT_LENGTH} characters or less.`);
+    }
+
+    if (!QUESTION_TYPES.includes(type)) {
+      errors.push(`${label}: type must be one of ${QUESTION_TYPES.join(", ")}.`);
+    } else if (type === "boolean") {
+      if (isText(correctAnswer) && !toBooleanAnswer(correctAnswer)) {
+        errors.push(`${label}: correct answer must be True or False.`);
+      }
+    } else if (type === "numeric") {
+      if (isText(correctAnswer) && !Number.isFinite(Number(correctAnswer))) {
+        errors.push(`${label}: correct answer must be a number.`);
+      }
+    } else if (question.distractors !== undefined && !Array.isArray(question.distractors)) {
+      errors.push(`${label}: distractors must be a list of ${DISTRACTOR_COUNT} answers.`);
+    } else if (distractors.length !== DISTRACTOR_COUNT) {
+      errors.push(`${label}: exactly ${DISTRACTOR_COUNT} distractors are required.`);
+    } else if (!question.distractors.every(isText)) {
+      errors.push(`${label}: distractors can't be empty.`);
+    } else {
+      const answers = [question.correctAnswer, ...question.distractors].map((a) => String(a).trim().toLowerCase());
+      if (new Set(answers).size !== answers.length) {
+        errors.push(`${label}: answers must all be different.`);
+      }
+    }
+
+    if (question.category !== undefined && !isText(question.category)) {
+      errors.push(`${label}: category must be text.`);
+    }
+
+    if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+      errors.push(`${label}: difficulty must be one of ${DIFFICULTIES.join(", ")}.`);
+    }
+  });
+
+  return errors;
+};
+
+// Keeps only the known fields of each question, multiple choice questions are saved without a type
+const normalizeQuestion = (question) => {
+  const type = getQuestionType(question);
+
+  return {
+    prompt: question.prompt.trim(),
+    correctAnswer: type === "boolean" ? toBooleanAnswer(question.correctAnswer) : getCorrectAnswer(question).trim(),
+    distractors: type === "multiple" ? question.distractors.map((d) => d.trim()) : [],
+    ...(type !== "multiple" ? { type } : {}),
+    ...(question.category ? { category: question.category.trim() } : {}),
+    ...(question.difficulty ? { difficulty: question.difficulty } : {})
+  };
+};
+
+// Summary shown in pack lists (no questions)
+const packSummary = (pack) => ({
+  id: pack.id,
+  name: pack.name,
+  description: pack.description,
+  createdAt: pack.createdAt,
+  questionCount: pack.questions.length,
+  categories: [...new Set(pack.questions.map((q) => q.category).filter(Boolean))]
+});
+
+const savePack = async ({ name, description, questions }) => {
+  const pack = {
+    id: packStore.generateId(),
+    name: name.trim(),
+    description: isText(description) ? description.trim() : "",
+    createdAt: Date.now(),
+    key: generateToken(),
+    questions: questions.map(normalizeQuestion)
+  };
+
+  await packStore.save(pack);
+
+  console.log(`Question pack saved: ${pack.id} (${pack.questions.length} questions)`);
+  return pack;
+};
+
+// Returns null when the pack doesn't exist
+const getPack = (id) => packStore.get(id);
+
+const listPacks = async () =>
+  (await packStore.list())
+    .map(packSummary)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+// Returns false when the pack doesn't exist
+const deletePack = async (id) => {
+  const deleted = await packStore.remove(id);
+  if (deleted) {
+    console.log(`Question pack deleted: ${id}`);
+  }
+  return deleted;
+};
+
+// Rounds can use a pack instead of an Open Trivia category by putting "pack:<id>" in the rounds array
+const isPackRound = (roundSource) => typeof roundSource === "string" && roundSource.startsWith(PACK_ROUND_PREFIX);
+
+// The pack id of a pack round, null when the round source isn't a pack round with a valid pack id
+const getRoundPackId = (roundSource) => {
+  if (!isPackRound(roundSource)) return null;
+  const packId = roundSource.slice(PACK_ROUND_PREFIX.length);
+  return packStore.isValidId(packId) ? packId : null;
+};
+
+// The server's key (QUESTION_PACKS_KEY) uploads packs and is accepted for every pack
+const getServerKey = () => process.env.QUESTION_PACKS_KEY || "";
+
+// Whether key unlocks the pack, pass null for the pack to only accept the server's key
+const isPackKey = (pack, key) => tokensMatch(key, getServerKey()) || Boolean(pack && tokensMatch(key, pack.key));
+
+// The game master view holds the answers to the round being played, so a room can only use a pack with its key
+// packKeys is { "<pack id>": key } from the room:create payload, returns the ids of the packs the rounds use
+// without a valid key (packs that don't exist are left to fail when their round is fetched)
+const findLockedPacks = async (rounds, packKeys) => {
+  const keys = packKeys !== null && typeof packKeys === "object" ? packKeys : {};
+  const packIds = new Set(
+    rounds.flatMap((round) => round.sources.map((source) => getRoundPackId(source.category))).filter(Boolean)
+  );
+
+  const locked = [];
+  for (const packId of packIds) {
+    const pack = await getPack(packId);
+    if (pack && !isPackKey(pack, Object.hasOwn(keys, packId) ? keys[packId] : null)) {
+      locked.push(packId);
+    }
+  }
+  return locked;
+};
+
+// Pack text is plain text, but questions from providers are HTML encoded (as Open Trivia DB sends them)
+const encodeHtml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
+
+// Question provider for pack rounds
+// Only questions of the round's type are used
+// Questions the room hasn't used yet come first, then questions tagged with the round's difficulty (or not tagged at all)
+const questionPackProvider = {
+  name: "pack",
+  fetchQuestions: async ({ categoryId, difficulty, type = "multiple", amount, isRepeat }) => {
+    const packId = categoryId.slice(PACK_ROUND_PREFIX.length);
+    const pack = await getPack(packId);
+    if (!pack) {
+      throw new Error(`Question pack not found: ${packId}`);
+    }
+
+    const shuffled = pack.questions.filter((q) => getQuestionType(q) === type);
+    if (shuffled.length === 0) {
+      throw new Error(`Question pack ${packId} has no ${type} questions`);
+    }
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const matchesDifficulty = (q) => !q.difficulty || q.difficulty === difficulty;
+    const ordered = [...shuffled.filter(matchesDifficulty), ...shuffled.filter((q) => !matchesDifficulty(q))];
+
+    const questions = ordered.map((q) => ({
+      question: encodeHtml(q.prompt),
+      correct_answer: encodeHtml(q.correctAnswer),
+      incorrect_answers: q.distractors.map(encodeHtml),
+      category: q.category || pack.name,
+      difficulty: q.difficulty || difficulty,
+      type
+    }));
+
+    const isNew = (q) => !isRepeat || !isRepeat(q);
+    return [...questions.filter(isNew), ...questions.filter((q) => !isNew(q))].slice(0, amount);
+  }
+};
+
+export {
+  parsePackQuestions,
+  validatePack,
+  packSummary,
+  savePack,
+  getPack,
+  listPacks,
+  deletePack,
+  isPackRound,
+  getRoundPackId,
+  getServerKey,
+  isPackKey,
+  findLockedPacks,
+  questionPackProvider
+};
@@ -0,0 +1,229 @@
+import axios from "axios"; // Use axios for making HTTP requests
+import { readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isPackRound, questionPackProvider } from "./questionPacks.js";
+import { ANY_CATEGORY } from "./rounds.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Question providers supply the raw questions for a round
+// Every provider has a name and a fetchQuestions({ categoryId, difficulty, type, amount, session, isRepeat }) function
+// categoryId is "any" for a round that can use questions from any category
+// type is "multiple", "boolean" or "numeric" (see sourceType in questionTypes.js), providers only return questions
+// of that type and throw when they have none
+// session is an object kept with the room that providers can use for their own state (eg. a session token)
+// isRepeat(question) is true for questions the room has already used, providers should pick others first
+// which resolves to an array in the Open Trivia DB format:
+// [{ question, correct_answer, incorrect_answers: [...], category, difficulty, type }]
+// generateRound in roomHandler.js turns these into the numbered roundQuestions object
+
+// Open Trivia Database (https://opentdb.com)
+// The API allows one request every 5 seconds per IP and reports problems with a non-zero response_code
+// Requests are queued so mixed rounds (one request per category) and busy servers stay within the limit
+// OPENTDB_REQUEST_INTERVAL overrides the gap between requests in milliseconds
+const getOpenTriviaInterval = () => {
+  const interval = Number(process.env.OPENTDB_REQUEST_INTERVAL);
+  return Number.isFinite(interval) && interval >= 0 ? interval : 5000;
+};
+
+let openTriviaQueue = Promise.resolve();
+let lastOpenTriviaRequestAt = 0;
+
+// Resolves when it is this request's turn
+const waitForOpenTrivia = () => {
+  const turn = openTriviaQueue.then(async () => {
+    const wait = lastOpenTriviaRequestAt + getOpenTriviaInterval() - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    lastOpenTriviaRequestAt = Date.now();
+  });
+  openTriviaQueue = turn;
+  return turn;
+};
+
+// Response codes from https://opentdb.com/api_config.php
+const OPENTDB_SUCCESS = 0;
+const OPENTDB_TOKEN_NOT_FOUND = 3;
+const OPENTDB_TOKEN_EMPTY = 4;
+const OPENTDB_RATE_LIMIT = 5;
+
+const OPENTDB_MAX_RETRIES = 3;
+const OPENTDB_TIMEOUT = 10000;
+
+const isRateLimited = (error) => Boolean(error.response && error.response.status === 429);
+
+// Makes a queued request to Open Trivia DB
+// Rate limited requests (HTTP 429 or response_code 5) are retried, waiting twice as long each time
+const getOpenTrivia = async (url) => {
+  for (let attempt = 0; ; attempt++) {
+    await waitForOpenTrivia();
+
+    let response = null;
+    try {
+      response = await axios.get(url, { timeout: OPENTDB_TIMEOUT });
+    } catch (error) {
+      if (!isRateLimited(error) || attempt >= OPENTDB_MAX_RETRIES) throw error;
+    }
+
+    if (response && (response.data.response_code !== OPENTDB_RATE_LIMIT || attempt >= OPENTDB_MAX_RETRIES)) {
+      return response;
+    }
+
+    const delay = getOpenTriviaInterval() * 2 ** attempt;
+    console.log(`Open Trivia DB rate limit reached, retrying in ${delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+};
+
+// Session tokens stop Open Trivia DB sending the same question twice to a room
+const requestOpenTriviaToken = async () => {
+  const response = await getOpenTrivia("https://opentdb.com/api_token.php?command=request");
+  if (response.data.response_code !== OPENTDB_SUCCESS || !response.data.token) {
+    throw new Error(`Open Trivia DB token request responded with code ${response.data.response_code}`);
+  }
+  return response.data.token;
+};
+
+const resetOpenTriviaToken = async (token) => {
+  await getOpenTrivia(`https://opentdb.com/api_token.php?command=reset&token=${token}`);
+};
+
+// The room's token is kept in session.openTriviaToken
+// A token that has expired (not found) is replaced, a token that has run out of questions (empty) is reset
+// and the room's question history keeps out the repeats that follow
+// Without a token (eg. the token request failed) questions are fetched without one
+// Open Trivia DB has multiple choice and True/False questions, numeric rounds fall back to another source
+const OPENTDB_TYPES = ["multiple", "boolean"];
+
+const openTriviaProvider = {
+  name: "opentdb",
+  fetchQuestions: async ({ categoryId, difficulty, type = "multiple", amount, session }) => {
+    if (!OPENTDB_TYPES.includes(type)) {
+      throw new Error(`Open Trivia DB has no ${type} questions`);
+    }
+
+    const category = categoryId === ANY_CATEGORY ? "" : `&category=${encodeURIComponent(categoryId)}`;
+
+    if (session && session.openTriviaToken === undefined) {
+      try {
+        session.openTriviaToken = await requestOpenTriviaToken();
+      } catch (error) {
+        console.error("Error requesting Open Trivia DB session token:", error);
+        session.openTriviaToken = null;
+      }
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const token = session && session.openTriviaToken ? `&token=${session.openTriviaToken}` : "";
+
+      const response = await getOpenTrivia(
+        `https://opentdb.com/api.php?amount=${amount}${category}&difficulty=${difficulty}&type=${type}${token}`
+      );
+
+      const { response_code: responseCode, results } = response.data;
+      if (responseCode === OPENTDB_SUCCESS) {
+        return results;
+      }
+
+      if (responseCode === OPENTDB_TOKEN_NOT_FOUND && token) {
+        session.openTriviaToken = await requestOpenTriviaToken();
+      } else if (responseCode === OPENTDB_TOKEN_EMPTY && token) {
+        await resetOpenTriviaToken(session.openTriviaToken);
+      } else {
+        throw new Error(`Open Trivia DB responded with code ${responseCode}`);
+      }
+    }
+
+    throw new Error("Open Trivia DB session token could not be renewed");
+  }
+};
+
+// Local question bank loaded from a JSON file on disk, so games can run offline
+// The file is an array of questions in the Open Trivia DB format with a numeric category id added:
+// [{ "category": 9, "difficulty": "easy", "question": "...", "correct_answer": "...", "incorrect_answers": ["...", "...", "..."] }]
+// True/False questions have "type": "boolean" and numeric questions "type": "numeric" with the number as the
+// correct answer and no incorrect answers, questions without a type are multiple choice
+// filePath defaults to QUESTION_BANK_PATH or data/questions.json, read when the bank is first used
+// Questions are picked from the requested category and difficulty first, then topped up from the same
+// category at any difficulty and finally from all questions of the round's type so a round is never short
+// Within that order questions the room hasn't used yet come before repeats
+const createLocalProvider = (filePath) => {
+  let bank = null;
+
+  const getBankPath = () => filePath || process.env.QUESTION_BANK_PATH || path.join(__dirname, "data", "questions.json");
+
+  const loadBank = async () => {
+    if (!bank) {
+      bank = JSON.parse(await readFile(getBankPath(), "utf8"));
+    }
+    return bank;
+  };
+
+  const pickRandom = (questions, amount) => {
+    const pool = [...questions];
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, amount);
+  };
+
+  return {
+    name: "local",
+    fetchQuestions: async ({ categoryId, difficulty, type = "multiple", amount, isRepeat }) => {
+      const questions = (await loadBank()).filter((q) => (q.type || "multiple") === type);
+      const selected = [];
+
+      const inCategory = (q) => categoryId === ANY_CATEGORY || String(q.category) === String(categoryId);
+      const isNew = (q) => !isRepeat || !isRepeat(q);
+      const tiers = [
+        questions.filter((q) => inCategory(q) && q.difficulty === difficulty && isNew(q)),
+        questions.filter((q) => inCategory(q) && isNew(q)),
+        questions.filter(isNew),
+        questions.filter((q) => inCategory(q) && q.difficulty === difficulty),
+        questions.filter(inCategory),
+        questions
+      ];
+
+      for (const tier of tiers) {
+        const remaining = tier.filter((q) => !selected.includes(q));
+        selected.push(...pickRandom(remaining, amount - selected.length));
+        if (selected.length >= amount) break;
+      }
+
+      if (selected.length === 0) {
+        throw new Error(`Local question bank ${getBankPath()} has no ${type} questions`);
+      }
+
+      return selected;
+    }
+  };
+};
+
+const providers = {
+  opentdb: openTriviaProvider,
+  local: createLocalProvider()
+};
+
+// QUESTION_SOURCE picks the provider for rooms that don't ask for one
+const getDefaultProviderName = () => process.env.QUESTION_SOURCE || "opentdb";
+
+// Returns the provider for a room's questionSource, falling back to the default provider
+const getQuestionProvider = (name) => providers[name] || providers[getDefaultProviderName()] || openTriviaProvider;
+
+const hasQuestionProvider = (name) => Boolean(providers[name]);
+
+// Pack rounds ("pack:<id>") always come from the question pack, other rounds use the room's provider
+const getRoundProvider = (questionSource, roundSource) =>
+  isPackRound(roundSource) ? questionPackProvider : getQuestionProvider(questionSource);
+
+export {
+  openTriviaProvider,
+  createLocalProvider,
+  getQuestionProvider,
+  getRoundProvider,
+  hasQuestionProvider,
+  getDefaultProviderName
+};
@@ -0,0 +1,140 @@
+// Question types, every question in roundQuestions has a type and every round descriptor a questionType
+// multiple - four answers, players send the position of their answer (1-4)
+// boolean  - True or False, players send 1 (True) or 2 (False)
+// text     - players type the answer, it is matched after normalising case, accents, punctuation and
+//            leading articles, with a small allowance for typos
+// numeric  - players send a number and the closest answers win, so correctness is only known once the
+//            question closes (see settle)
+//
+// Each type has:
+// sourceType          - the kind of question fetched from providers, text rounds use multiple choice questions
+//                       and only keep the correct answer
+// answerLabels(q)     - labels for the player's answer buttons, empty for typed answers
+// parseAnswer(q, a)   - the answer sent by the player in a normalised form, or null when it isn't valid
+// isCorrect(q, a)     - whether a parsed answer is correct, null when it can't be known yet
+// settle(q, answers)  - for types scored when the question closes, whether each of the answers is correct
+
+const QUESTION_TYPES = ["multiple", "boolean", "text", "numeric"];
+const MULTIPLE_LABELS = ["A", "B", "C", "D"];
+const BOOLEAN_ANSWERS = ["True", "False"];
+const MAX_TEXT_ANSWER_LENGTH = 100;
+
+const namedEntities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+// Questions are HTML encoded (as Open Trivia DB sends them), typed answers are compared as plain text
+const decodeHtml = (text) =>
+  text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    if (namedEntities[code.toLowerCase()]) return namedEntities[code.toLowerCase()];
+    // Accented letters (&eacute;, &Ouml; ...) become the plain letter, which is all matching needs
+    const accented = code.match(/^([a-z])(acute|grave|circ|uml|tilde|ring|cedil|slash)$/i);
+    return accented ? accented[1] : entity;
+  });
+
+// Lower case, no accents, no punctuation, no leading "the", "a" or "an" and single spaces
+const normalizeText = (text) =>
+  decodeHtml(String(text))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short answers have to be exact, longer ones allow one or two typos
+const typoAllowance = (length) => (length <= 3 ? 0 : length <= 7 ? 1 : 2);
+
+const textMatches = (answer, expected) => {
+  const given = normalizeText(answer);
+  const target = normalizeText(expected);
+  if (!given || !target) return false;
+  return given === target || editDistance(given, target) <= typoAllowance(target.length);
+};
+
+const parseNumber = (value) => {
+  const number = typeof value === "number" ? value : Number(String(value).replace(/,/g, "").trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+const choiceAnswer = (question, answer) =>
+  Number.isInteger(answer) && answer >= 1 && answer <= question.allAnswers.length ? answer : null;
+
+const questionTypes = {
+  multiple: {
+    sourceType: "multiple",
+    answerLabels: (question) => MULTIPLE_LABELS.slice(0, question.allAnswers.length),
+    parseAnswer: choiceAnswer,
+    isCorrect: (question, answer) => question.allAnswers[answer - 1] === question.correct_answer
+  },
+  boolean: {
+    sourceType: "boolean",
+    answerLabels: () => BOOLEAN_ANSWERS,
+    parseAnswer: choiceAnswer,
+    isCorrect: (question, answer) => question.allAnswers[answer - 1] === question.correct_answer
+  },
+  text: {
+    sourceType: "multiple",
+    answerLabels: () => [],
+    parseAnswer: (question, answer) => {
+      if (typeof answer !== "string") return null;
+      const text = answer.trim();
+      return text && text.length <= MAX_TEXT_ANSWER_LENGTH ? text : null;
+    },
+    isCorrect: (question, answer) =>
+      [question.correct_answer, ...(question.accepted_answers || [])].some((expected) => textMatches(answer, expected))
+  },
+  numeric: {
+    sourceType: "numeric",
+    answerLabels: () => [],
+    parseAnswer: (question, answer) => (typeof answer === "number" || typeof answer === "string" ? parseNumber(answer) : null),
+    isCorrect: () => null,
+    // The answers closest to the correct number are correct, whoever else answered
+    settle: (question, answers) => {
+      const target = parseNumber(decodeHtml(question.correct_answer));
+      const distances = answers.map((answer) => Math.abs(answer - target));
+      const closest = Math.min(...distances);
+      return distances.map((distance) => distance === closest);
+    }
+  }
+};
+
+const normalizeQuestionType = (type) => (QUESTION_TYPES.includes(type) ? type : "multiple");
+
+const getQuestionType = (type) => questionTypes[normalizeQuestionType(type)];
+
+// Builds the answers shown for a question, True/False keep their order, multiple choice answers are shuffled
+const buildAnswers = (type, questionData, shuffle) => {
+  if (type === "boolean") return [...BOOLEAN_ANSWERS];
+  if (type !== "multiple") return [];
+
+  const allAnswers = [questionData.correct_answer, ...questionData.incorrect_answers];
+  shuffle(allAnswers);
+  return allAnswers;
+};
+
+export {
+  QUESTION_TYPES,
+  decodeHtml,
+  normalizeText,
+  textMatches,
+  normalizeQuestionType,
+  getQuestionType,
+  buildAnswers
+};
@@ -1,31 +1,48 @@
-import axios from "axios"; // Use axios for making HTTP requests
-
-const categories = {
-  "9": "General Knowledge",
-  "10": "Entertainment: Books",
-  "11": "Entertainment: Film",
-  "12": "Entertainment: Music",
-  "13": "Entertainment: Musicals & Theatres",
-  "14": "Entertainment: Television",
-  "15": "Entertainment: Video Games",
-  "16": "Entertainment: Board Games",
-  "17": "Science & Nature",
-  "18": "Science: Computers",
-  "19": "Science: Mathematics",
-  "20": "Mythology",
-  "21": "Sports",
-  "22": "Geography",
-  "23": "History",
-  "24": "Politics",
-  "25": "Art",
-  "26": "Celebrities",
-  "27": "Animals",
-  "28": "Vehicles",
-  "29": "Entertainment: Comics",
-  "30": "Science: Gadgets",
-  "31": "Entertainment: Japanese Anime & Manga",
-  "32": "Entertainment: Cartoon & Animations"
-};
+import {
+  playerStats,
+  gameMasterView,
+  playerView,
+  scoreboardView,
+  teamsView,
+  displayView,
+  questionResultView,
+  playerQuestionResultView,
+  selfPacedView
+} from "./roomViews.js";
+import { getRoundProvider, hasQuestionProvider, getDefaultProviderName } from "./questionProviders.js";
+import { normalizeScoring, scoreAnswer, recordStreak } from "./scoring.js";
+import {
+  getCategoryName,
+  normalizeDifficulty,
+  normalizeRounds,
+  allocateQuestions,
+  interleaveQuestions,
+  getCurrentRound
+} from "./rounds.js";
+import { fingerprintQuestion, normalizePlayerGroup, getGroupHistory, recordGroupHistory } from "./questionHistory.js";
+import { getQuestionType, buildAnswers } from "./questionTypes.js";
+import { normalizeTeams, normalizeTeamScoring, assignTeam, ensureCaptains, canAnswer, getTeamStandings } from "./teams.js";
+import {
+  sanitizeText,
+  validatePlayerName,
+  nameKey,
+  normalizeMaxPlayers,
+  createBan,
+  isBanned
+} from "./moderation.js";
+import { saveRoom, deleteRoom, loadRooms } from "./roomStore.js";
+import { createBot, roomAnswerKey } from "./bots.js";
+import { generateToken, tokensMatch } from "./tokens.js";
+import { findLockedPacks } from "./questionPacks.js";
+import { recordRound, archiveGame } from "./gameHistory.js";
+import { normalizeProfileId, isNameClaimed, recordProfile } from "./profiles.js";
+import {
+  normalizeSelfPaced,
+  isSelfPacedOpen,
+  flattenRounds,
+  initializeSelfPacedProgress,
+  advanceSelfPacedProgress
+} from "./selfPaced.js";
 
 //Generate 6 digit room code
 const generateUniqueRoomId = (rooms) => {
@@ -40,15 +57,75 @@ const generateUniqueRoomId = (rooms) => {
   return roomId;
 };
 
-const initializePlayer = (playerName) => ({
+// Error returned to any control event that doesn't come from the game master
+const notAuthorizedError = () => ({
+  error: true,
+  code: "NOT_AUTHORIZED",
+  message: "Only the game master can control this quiz."
+});
+
+const MAX_SUBMISSION_ID_LENGTH = 64;
+const MAX_BOTS_PER_REQUEST = 50; // Most bots the host can add at once (see addBots)
+
+// Error returned to answers and to events that move the quiz on while the host has it paused
+const pausedError = () => ({
+  error: true,
+  code: "QUIZ_PAUSED",
+  message: "The quiz is paused."
+});
+
+// Error returned to the host controls that move the quiz on, which self-paced players do for themselves
+const selfPacedError = () => ({
+  error: true,
+  code: "SELF_PACED",
+  message: "Players move through this quiz at their own pace."
+});
+
+// Error returned to room:create and quiz:restart when a round uses a question pack without its key (see findLockedPacks)
+const packKeyError = (packIds) => ({
+  error: true,
+  code: "PACK_KEY_REQUIRED",
+  message: "A question pack in this quiz needs its key.",
+  packIds
+});
+
+// Player ids sent by clients (player:kick, player:rejoin ...) only count when they are one of the room's own players,
+// so an id like "__proto__" never reaches the players object's prototype
+const hasPlayer = (room, playerId) => typeof playerId === "string" && Object.hasOwn(room.players, playerId);
+
+// One-time tokens for the bots room:addBots is adding, the roomId keyed by token
+// Bots send theirs with player:join so they are flagged as bots before the host hears about them, players can't
+// flag themselves
+const botInvites = new Map();
+
+const initializePlayer = (playerName, team = null, profileId = null) => ({
   name: playerName,
+  profileId, // The player's profile (see profiles.js), null for players without one
+  bot: false, // Bot players the host added (see bots.js) play like anyone else, they only show up as bots to the host
+  team, // Team id in team play (see teams.js), null for individual play
+  captain: false,
   currentRoundScore: 0,
   totalScore: 0,
   currentRoundAnswers: {},
+  currentRoundPoints: {}, // Points breakdown per question, see scoreAnswer in scoring.js
+  currentRoundSubmissions: {}, // Last accepted submission per question, used for retries and answer changes
+  streak: 0,
+  streakBeforeQuestion: 0, // Streak when the current question opened, restored if the question is skipped
+  disconnectedAt: null, // Set while the player's socket is gone, players who never rejoin are removed
+  seriesScore: 0, // Total score across every game played in this room (rematches)
+  seriesWins: 0,
   endOfRoundRank: null,
-  overallRank: null
+  overallRank: null,
+  selfPacedProgress: null // Where the player is in a self-paced quiz, see selfPaced.js
 });
 
+// Room lifecycle timeouts in milliseconds, each can be overridden from .env
+const ROOM_IDLE_TIMEOUT = Number(process.env.ROOM_IDLE_TIMEOUT) || 30 * 60 * 1000; // No events at all
+const FINISHED_ROOM_TIMEOUT = Number(process.env.FINISHED_ROOM_TIMEOUT) || 10 * 60 * 1000; // After the end of the game
+const HOST_REJOIN_TIMEOUT = Number(process.env.HOST_REJOIN_TIMEOUT) || 5 * 60 * 1000; // Host left and never came back
+const PLAYER_REJOIN_TIMEOUT = Number(process.env.PLAYER_REJOIN_TIMEOUT) || 5 * 60 * 1000; // Player left and never came back
+const ROOM_SWEEP_INTERVAL = 60 * 1000;
+
 // Helper function to shuffle an array
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
@@ -60,6 +137,7 @@ function shuffleArray(array) {
 // Helper function to calculate player rankings
 // Calculates both endOfRoundRank (based on currentRoundScore) and overallRank (based on totalScore)
 // Handles ties: players with same score get same rank, next rank skips
+// In team play the team standings are worked out at the same time (room.teamStandings)
 const calculateRankings = (room) => {
   const players = Object.entries(room.players);
   
@@ -96,115 +174,601 @@ const calculateRankings = (room) => {
     }
     room.players[overallRankings[i].playerId].overallRank = currentRank;
   }
+
+  room.teamStandings = getTeamStandings(room);
 };
 
-// Gets a list of questions from Open Trivia Database
-// First it must determine what the next category id is from the rounds array
-// Mode parameter is difficulty level
-// All question types are multiple choice
-// If currentRound is null then use the first entry in the array
-// Else if currentRound is a value then find its position in the array and get the next
-// If currentRound is alreay at the end of the array the return "end of round"
-// When the Open Trivia json is returned simply its format starting at 1 for the first question eg 1: {question":"In the server hosting industry IaaS stands for...","correct_answer":"Infrastructure as a Service","incorrect_answers":["Internet as a Service","Internet and a Server","Infrastructure as a Server"}
-// Return the quesions for easy access latter in the currentProgress
-const generateRound = async (currentRound, rounds, mode, questionsPerRound, room) => {
-  // Map mode to difficulty levels
-  const difficultyMap = {
-    1: "easy",
-    2: "medium",
-    3: "hard",
-    4: "easy" // Assuming 'kids' translates to 'easy'
-  };
+// Active question timers keyed by roomId (for self-paced quizzes the timer that closes the quiz)
+// Kept outside the room object so the room itself only holds plain data
+const questionTimers = new Map();
 
-  // Determine the difficulty level
-  const difficulty = difficultyMap[mode] || "easy";
+const clearQuestionTimer = (roomId) => {
+  const timer = questionTimers.get(roomId);
+  if (timer) {
+    clearTimeout(timer);
+    questionTimers.delete(roomId);
+  }
+};
 
-  // Determine the next category ID
-  let nextCategoryId;
-  if (currentRound === null) {
-    nextCategoryId = rounds[0]; // Use the first entry if currentRound is null
-  } else {
-    const currentIndex = rounds.indexOf(currentRound);
-    if (currentIndex >= 0 && currentIndex < rounds.length - 1) {
-      nextCategoryId = rounds[currentIndex + 1]; // Get the next category
-    } else {
-      return "end of round"; // Reached the end of the array
+// Timing details sent to clients so they can render a synchronised countdown
+// serverTime lets clients correct for any difference between their clock and the server's
+const getQuestionTiming = (room) => ({
+  questionId: room.currentProgress.currentQuestion,
+  startedAt: room.currentProgress.questionStartedAt,
+  deadline: room.currentProgress.questionDeadline,
+  timeLimit: getRoundTimeLimit(room),
+  ...questionInput(room.currentProgress.roundQuestions[room.currentProgress.currentQuestion]),
+  questionClosed: room.currentProgress.questionClosed,
+  paused: Boolean(room.currentProgress.pausedAt), // The countdown is stopped while the host has the quiz paused
+  serverTime: Date.now()
+});
+
+// How players answer a question: its type and the labels of the answer buttons (none for typed answers)
+const questionInput = (question) => ({
+  questionType: question ? question.type : null,
+  answerLabels: question ? getQuestionType(question.type).answerLabels(question) : []
+});
+
+// Scores the answers that can only be marked once every answer is in (numeric questions, closest answer wins)
+// Those answers are recorded as null in currentRoundAnswers until then
+const settleQuestion = (room, questionId) => {
+  const question = room.currentProgress.roundQuestions && room.currentProgress.roundQuestions[questionId];
+  if (!question || !getQuestionType(question.type).settle) return;
+
+  const pending = Object.values(room.players).filter((player) => player.currentRoundAnswers[questionId] === null);
+  if (pending.length === 0) return;
+
+  const results = getQuestionType(question.type).settle(
+    question,
+    pending.map((player) => player.currentRoundSubmissions[questionId].answer)
+  );
+  pending.forEach((player, index) => {
+    const submission = player.currentRoundSubmissions[questionId];
+    const isCorrect = results[index];
+
+    player.currentRoundAnswers[questionId] = isCorrect;
+    recordStreak(player, isCorrect);
+    const breakdown = scoreAnswer(room, player, {
+      isCorrect,
+      answeredAt: submission.answeredAt,
+      startedAt: submission.startedAt, // Only set for self-paced players, who each have their own timing
+      deadline: submission.deadline
+    });
+    player.currentRoundPoints[questionId] = breakdown;
+    player.currentRoundScore += breakdown.points;
+    player.totalScore += breakdown.points;
+    submission.points = breakdown;
+  });
+};
+
+// Big screen displays watch a room from their own Socket.IO room, so they get none of the player events
+// and are never counted as players
+const displayChannel = (roomId) => `display:${roomId}`;
+
+// Sends the room's current state to every display watching it (see displayView)
+const updateDisplays = (io, room) => {
+  io.to(displayChannel(room.roomId)).emit("display:update", { ...displayView(room), timing: getQuestionTiming(room) });
+};
+
+// Closes the question early once every player (every captain when teams play by captain) has answered,
+// eg. after an answer or after a player was removed
+// When answers can change the question stays open until its deadline (if it has one)
+const closeIfAllAnswered = (io, room) => {
+  const { currentQuestion, questionClosed, questionDeadline, pausedAt } = room.currentProgress;
+  if (room.phase !== "question" || questionClosed || pausedAt) return;
+
+  const allAnswered = Object.values(room.players)
+    .filter((player) => canAnswer(room, player))
+    .every((player) => player.currentRoundAnswers[currentQuestion] !== undefined);
+  if (allAnswered && !(room.allowAnswerChange && questionDeadline)) {
+    closeQuestion(io, room, "allAnswered");
+  }
+};
+
+// Closes the current question so no more answers are accepted
+// Everyone in the room (players and game master) is sent the correct answer position (1-4, or 1-2 for True/False)
+// and its text, typed answer questions only have the text
+// The room then moves to the questionResult phase: each player is sent how they did and where they stand,
+// the game master how the room answered (see questionResultView)
+// reason is "timeout" when the deadline passed or "allAnswered" when every player has answered
+const closeQuestion = (io, room, reason) => {
+  if (room.currentProgress.questionClosed) return;
+
+  clearQuestionTimer(room.roomId);
+  room.currentProgress.questionClosed = true;
+
+  const questionId = room.currentProgress.currentQuestion;
+  const question = room.currentProgress.roundQuestions[questionId];
+  settleQuestion(room, questionId);
+
+  // Players who didn't answer lose their streak
+  Object.values(room.players).forEach((player) => {
+    if (player.currentRoundAnswers[questionId] === undefined) {
+      recordStreak(player, false);
     }
+  });
+
+  io.to(room.roomId).emit("quiz:questionClosed", {
+    questionId,
+    reason,
+    correctAnswer: question && question.allAnswers.includes(question.correct_answer)
+      ? question.allAnswers.indexOf(question.correct_answer) + 1
+      : null,
+    correctAnswerText: question ? question.correct_answer : null
+  });
+
+  if (question) {
+    room.phase = "questionResult";
+    room.phaseChangedAt = Date.now();
+    calculateRankings(room);
+
+    Object.keys(room.players).forEach((playerId) => {
+      io.to(playerId).emit("quiz:questionResult", playerQuestionResultView(room, playerId, questionId));
+    });
+    io.to(room.gameMaster).emit("quiz:questionResult", questionResultView(room, questionId));
+    io.to(displayChannel(room.roomId)).emit("quiz:questionResult", questionResultView(room, questionId));
   }
+  updateDisplays(io, room);
+  saveRoom(room); // Questions also close from their timer, outside any event
 
-  // Fetch questions from the Open Trivia API
-  try {
-    const response = await axios.get(
-      `https://opentdb.com/api.php?amount=${questionsPerRound}&category=${nextCategoryId}&difficulty=${difficulty}&type=multiple`
-    );
+  console.log(`Question ${questionId} closed (${reason}) in room: ${room.roomId}`);
+};
+
+// Seconds to answer each question in the current round (the room's questionTimeLimit until a round is set)
+const getRoundTimeLimit = (room) => {
+  const round = getCurrentRound(room);
+  return round ? round.timeLimit : room.questionTimeLimit;
+};
+
+// Opens a question for answering and starts the server-side countdown
+// The time limit is in seconds, a limit of 0 means the question stays open until everyone answers
+const openQuestion = (io, room, questionId) => {
+  clearQuestionTimer(room.roomId);
+  settleQuestion(room, room.currentProgress.currentQuestion);
+
+  const startedAt = Date.now();
+  const timeLimit = getRoundTimeLimit(room);
+  const deadline = timeLimit > 0 ? startedAt + timeLimit * 1000 : null;
+
+  room.phase = "question";
+  room.phaseChangedAt = startedAt;
+  room.currentProgress.currentQuestion = questionId;
+  room.currentProgress.questionStartedAt = startedAt;
+  room.currentProgress.questionDeadline = deadline;
+  room.currentProgress.questionClosed = false;
+  room.currentProgress.pausedAt = null;
+  room.currentProgress.pausedRemaining = null;
+  Object.values(room.players).forEach((player) => {
+    player.streakBeforeQuestion = player.streak;
+  });
+
+  if (deadline) {
+    questionTimers.set(room.roomId, setTimeout(() => closeQuestion(io, room, "timeout"), deadline - startedAt));
+  }
+  updateDisplays(io, room);
+
+  return getQuestionTiming(room);
+};
+
+// The host can pause the quiz (eg. for a break) while a question or its results are on screen
+// The question's countdown stops, pausedRemaining keeps the time that was left (null without a deadline)
+const pauseQuiz = (room) => {
+  clearQuestionTimer(room.roomId);
+
+  const now = Date.now();
+  const { questionDeadline, questionClosed } = room.currentProgress;
+  room.currentProgress.pausedAt = now;
+  room.currentProgress.pausedRemaining = !questionClosed && questionDeadline ? Math.max(0, questionDeadline - now) : null;
+};
+
+// Restarts the countdown with the time that was left
+// The question's start and its answers move on by the length of the pause so speed scoring doesn't count it
+const resumeQuiz = (io, room) => {
+  const now = Date.now();
+  const { pausedAt, pausedRemaining, currentQuestion, questionClosed } = room.currentProgress;
+  room.currentProgress.pausedAt = null;
+  room.currentProgress.pausedRemaining = null;
+  if (questionClosed) return;
+
+  const pausedFor = now - pausedAt;
+  room.currentProgress.questionStartedAt += pausedFor;
+  Object.values(room.players).forEach((player) => {
+    const submission = player.currentRoundSubmissions[currentQuestion];
+    if (submission) submission.answeredAt += pausedFor;
+  });
+
+  if (pausedRemaining !== null) {
+    room.currentProgress.questionDeadline = now + pausedRemaining;
+    questionTimers.set(room.roomId, setTimeout(() => closeQuestion(io, room, "timeout"), pausedRemaining));
+  }
+};
+
+// Takes back everything a question did to the scores (points, streaks and answers) so it counts for nobody
+// Used when the host skips or re-asks a question
+const voidQuestion = (room, questionId) => {
+  Object.values(room.players).forEach((player) => {
+    const submission = player.currentRoundSubmissions[questionId];
+    if (submission && submission.points) {
+      player.currentRoundScore -= submission.points.points;
+      player.totalScore -= submission.points.points;
+    }
+    player.streak = player.streakBeforeQuestion;
+    delete player.currentRoundAnswers[questionId];
+    delete player.currentRoundPoints[questionId];
+    delete player.currentRoundSubmissions[questionId];
+  });
+};
+
+// Puts a provider's question in the form kept in roundQuestions, with its answers shuffled
+// roundSource is the category (or pack) of the round it was fetched for, so a replacement can come from the same one
+const formatQuestion = (round, questionData) => ({
+  question: questionData.question,
+  correct_answer: questionData.correct_answer,
+  // Providers send a category name (Open Trivia DB, packs) or a category id (local question bank)
+  category: getCategoryName(questionData.category) || questionData.category || getCategoryName(questionData.roundSource) || null,
+  roundSource: questionData.roundSource,
+  type: round.questionType,
+  allAnswers: buildAnswers(round.questionType, questionData, shuffleArray) // Store the shuffled answers
+});
+
+// Remembers the questions so later rounds and games don't use them again
+// room.gameQuestions has the ones used in the game being played, which are never used twice in it (see fetchFreshQuestions)
+const rememberQuestions = async (room, questions) => {
+  const fingerprints = questions.map(fingerprintQuestion);
+  room.questionHistory.push(...fingerprints);
+  room.gameQuestions = [...(room.gameQuestions || []), ...fingerprints]; // Rooms saved before games kept their own list
+  await recordGroupHistory(room.playerGroup, fingerprints);
+};
+
+// Fetches one unused question to take the place of a skipped one
+// It comes from the skipped question's category (or pack), from the room's source or else the fallback source
+// Returns null when neither has a new question to give
+const fetchReplacementQuestion = async (room, skipped) => {
+  const round = getCurrentRound(room);
+  if (!round) return null;
+
+  const roundSource = skipped.roundSource !== undefined ? skipped.roundSource : round.sources[0].category;
+  const providers = [room.questionSource, getFallbackSource()]
+    .filter(Boolean)
+    .map((questionSource) => getRoundProvider(questionSource, roundSource))
+    .filter((provider, index, all) => all.findIndex((other) => other.name === provider.name) === index);
+
+  const seen = new Set([...room.questionHistory, ...(await getGroupHistory(room.playerGroup))]);
+  for (const provider of providers) {
+    try {
+      const [questionData] = await fetchFreshQuestions(provider, room, new Set(seen), new Set(room.gameQuestions), {
+        categoryId: roundSource,
+        difficulty: round.difficulty,
+        type: getQuestionType(round.questionType).sourceType,
+        amount: 1
+      });
+
+      // fetchFreshQuestions falls back to repeats, a repeat is no use as a replacement
+      if (questionData && !seen.has(fingerprintQuestion(questionData))) {
+        await rememberQuestions(room, [questionData]);
+        return formatQuestion(round, { ...questionData, roundSource });
+      }
+    } catch (error) {
+      console.error(`Error fetching a replacement question from ${provider.name} in room: ${room.roomId}`, error);
+    }
+  }
 
-    const { results } = response.data;
+  return null;
+};
+
+// Gets a list of questions from the room's question provider (Open Trivia Database by default)
+// questionSource overrides the room's provider, eg. for the fallback source in loadRoundQuestions
+// roundIndex is the position of the round in room.rounds, its descriptor decides the categories, difficulty and count
+// Mixed rounds fetch each source in turn and interleave the questions, every question is tagged with its category name
+// Returns null when roundIndex is past the last round
+// The round's questionType decides which kind of question is fetched (see questionTypes.js)
+// When the Open Trivia json is returned simply its format starting at 1 for the first question eg 1: {question":"In the server hosting industry IaaS stands for...","correct_answer":"Infrastructure as a Service","incorrect_answers":["Internet as a Service","Internet and a Server","Infrastructure as a Server"}
+// Questions the room (or its player group) has already used are left out, see fetchFreshQuestions
+// The round cursor isn't moved here (see moveToRound) so the next round can be fetched while the current one is played
+// Return the quesions for easy access latter in the currentProgress
+const generateRound = async (room, roundIndex, questionSource = room.questionSource) => {
+  const round = room.rounds[roundIndex];
+  if (!round) {
+    return null; // Reached the end of the rounds
+  }
+
+  // Fetch questions from the room's question provider (or the question pack for pack sources)
+  // Sources are fetched one after another as Open Trivia DB only allows one request at a time
+  let provider;
+  try {
+    const seen = new Set([...room.questionHistory, ...(await getGroupHistory(room.playerGroup))]);
+    const inGame = new Set(room.gameQuestions);
+    const batches = [];
+    for (const { category, amount } of allocateQuestions(round)) {
+      provider = getRoundProvider(questionSource, category);
+      const questions = await fetchFreshQuestions(provider, room, seen, inGame, {
+        categoryId: category,
+        difficulty: round.difficulty,
+        type: getQuestionType(round.questionType).sourceType,
+        amount
+      });
+      batches.push(questions.map((questionData) => ({ ...questionData, roundSource: category })));
+    }
+    const results = interleaveQuestions(batches);
+    if (results.length === 0) {
+      throw new Error("The question source has no questions left for this round");
+    }
+    if (results.length < round.questionCount) {
+      console.log(`Round ${roundIndex + 1} has ${results.length} of ${round.questionCount} questions in room: ${room.roomId}`);
+    }
 
-    // Format the questions and shuffle the answers
+    // Format the questions and shuffle the answers, typed answer questions have no answers to pick from
     const formattedQuestions = {};
     results.forEach((questionData, index) => {
-      const allAnswers = [
-        questionData.correct_answer,
-        ...questionData.incorrect_answers
-      ];
-      shuffleArray(allAnswers); // Shuffle the answers
-
-      formattedQuestions[index + 1] = {
-        question: questionData.question,
-        correct_answer: questionData.correct_answer,
-        allAnswers: allAnswers // Store the shuffled answers
-      };
+      formattedQuestions[index + 1] = formatQuestion(round, questionData);
     });
 
-    room.currentProgress.currentRound = nextCategoryId;
+    await rememberQuestions(room, results);
 
     // Return the formatted questions
     return formattedQuestions;
 
   } catch (error) {
-    console.error("Error fetching questions from Open Trivia API:", error);
+    console.error(`Error fetching questions from ${provider ? provider.name : questionSource} provider:`, error);
     throw new Error("Failed to generate round questions");
   }
 };
 
+// Question source used when a round can't be loaded from the room's own source
+// QUESTION_FALLBACK_SOURCE defaults to the local question bank, "none" turns the fallback off
+const getFallbackSource = () => {
+  const fallbackSource = process.env.QUESTION_FALLBACK_SOURCE || "local";
+  return hasQuestionProvider(fallbackSource) ? fallbackSource : null;
+};
+
+// Loads a round's questions from the room's source, or from the fallback source if that fails
+const loadRoundQuestions = async (room, roundIndex) => {
+  try {
+    return await generateRound(room, roundIndex);
+  } catch (error) {
+    const fallbackSource = getFallbackSource();
+    if (!fallbackSource || fallbackSource === room.questionSource) {
+      throw error;
+    }
+
+    console.log(`Loading round ${roundIndex + 1} from the ${fallbackSource} fallback source in room: ${room.roomId}`);
+    return generateRound(room, roundIndex, fallbackSource);
+  }
+};
+
+// Moves the round cursor (currentProgress.roundIndex and currentRound) to a round whose questions have been loaded
+const moveToRound = (room, roundIndex, roundQuestions) => {
+  room.currentProgress.roundIndex = roundIndex;
+  room.currentProgress.currentRound = room.rounds[roundIndex].category;
+  room.currentProgress.roundQuestions = roundQuestions;
+};
+
+// The next round's questions are loaded in the background while the current round is played
+// so quiz:nextRound doesn't have to wait for the question provider
+// Entries are { roundIndex, promise } keyed by roomId, kept outside the room object like the question timers
+// The promise resolves to the round's questions, or null if they couldn't be loaded (nextRound then tries again)
+const roundPrefetches = new Map();
+
+const prefetchNextRound = (room) => {
+  const roundIndex = room.currentProgress.roundIndex + 1;
+  if (room.selfPaced || !room.rounds[roundIndex]) return; // Self-paced quizzes load every round up front
+
+  const existing = roundPrefetches.get(room.roomId);
+  if (existing && existing.roundIndex === roundIndex) return;
+
+  const promise = loadRoundQuestions(room, roundIndex).catch((error) => {
+    console.error(`Error prefetching round ${roundIndex + 1} in room: ${room.roomId}`, error);
+    return null;
+  });
+  roundPrefetches.set(room.roomId, { roundIndex, promise });
+};
+
+// Waits for a prefetched round, null when nothing was prefetched for it or the prefetch failed
+const takePrefetchedRound = async (roomId, roundIndex) => {
+  const prefetch = roundPrefetches.get(roomId);
+  if (!prefetch || prefetch.roundIndex !== roundIndex) return null;
+
+  roundPrefetches.delete(roomId);
+  return prefetch.promise;
+};
+
+const clearRoundPrefetch = (roomId) => {
+  roundPrefetches.delete(roomId);
+};
+
+// Fetches questions from a provider, leaving out any whose fingerprint is in seen
+// Providers get the room's providerSession (eg. the Open Trivia DB session token) and an isRepeat check
+// so they can pick unused questions first. Repeats are only used when a source has run out of new questions, and
+// only questions from past games: inGame has the fingerprints used in this game so far (this round's are added as
+// they are picked), none of them is used again. A source without enough questions gives a short round
+const MAX_FETCH_ATTEMPTS = 3;
+
+const fetchFreshQuestions = async (provider, room, seen, inGame, { categoryId, difficulty, type, amount }) => {
+  const isRepeat = (question) => seen.has(fingerprintQuestion(question));
+  const fresh = [];
+  const repeats = [];
+
+  for (let attempt = 0; attempt < MAX_FETCH_ATTEMPTS && fresh.length < amount; attempt++) {
+    const questions = await provider.fetchQuestions({
+      categoryId,
+      difficulty,
+      type,
+      amount: amount - fresh.length,
+      session: room.providerSession,
+      isRepeat
+    });
+
+    const freshBefore = fresh.length;
+    questions.forEach((question) => {
+      const fingerprint = fingerprintQuestion(question);
+      if (!isRepeat(question)) {
+        seen.add(fingerprint);
+        inGame.add(fingerprint);
+        fresh.push(question);
+      } else if (!inGame.has(fingerprint) && !repeats.some((repeat) => fingerprintQuestion(repeat) === fingerprint)) {
+        repeats.push(question);
+      }
+    });
+
+    // Stop once the source has nothing new left to give
+    if (fresh.length === freshBefore) break;
+  }
+
+  if (repeats.length > 0) {
+    console.log(`Left out ${repeats.length} repeated questions from ${provider.name} in room: ${room.roomId}`);
+  }
+
+  const padding = repeats.slice(0, amount - fresh.length);
+  padding.forEach((question) => inGame.add(fingerprintQuestion(question)));
+  return [...fresh, ...padding];
+};
+
+// Game settings chosen by the game master, used when a room is created and when a quiz is restarted
+// options is the room:create (or quiz:restart) payload, only the settings below are read from it
+// rounds is a list of round descriptors (see rounds.js) or plain category ids eg. [10, 10, 12, 30, 9, 12]
+// questionTimeLimit, questionPerRound and mode are the defaults for rounds that don't set their own
+// mode is the level of difficulty of the quiz. (1 = Easy, 2 = Medium, 3 = Hard, 4 = Kids)
+// questionSource is the name of the question provider, eg. "opentdb" or "local" for the offline question bank
+// scoring is a list of scoring strategies from scoring.js, eg. ["speed", "streak"], an empty list is flat scoring
+// allowAnswerChange lets players change their answer until the deadline, otherwise the first answer is final
+// playerGroup names a group of regular players whose question history is kept across games (see questionHistory.js)
+// teams is a list of team names for team play, teamScoring is "sum", "average" or "captain" (see teams.js)
+// maxPlayers caps how many players can join, profanityFilter turns on the name filter (see moderation.js)
+// selfPaced ({ closesAt }) lets players play at their own pace until the closing time instead of the host running
+// the quiz (see selfPaced.js), answers can't be changed and captains don't answer for their team
+const buildGameSettings = (options) => {
+  const {
+    rounds,
+    mode,
+    questionSource,
+    scoring,
+    allowAnswerChange,
+    playerGroup,
+    teams,
+    maxPlayers,
+    profanityFilter
+  } = options;
+  const questionTimeLimit = Number(options.questionTimeLimit) > 0 ? Number(options.questionTimeLimit) : 0;
+  const questionsPerRound = Number(options.questionPerRound) > 0 ? Number(options.questionPerRound) : 5;
+  const selfPaced = normalizeSelfPaced(options.selfPaced);
+  const teamScoring = normalizeTeamScoring(options.teamScoring);
+
+  return {
+    questionTimeLimit: questionTimeLimit,
+    questionPerRound: questionsPerRound,
+    mode: mode,
+    rounds: normalizeRounds(rounds, {
+      questionCount: questionsPerRound,
+      difficulty: normalizeDifficulty(mode, "easy"),
+      timeLimit: questionTimeLimit
+    }),
+    questionSource: hasQuestionProvider(questionSource) ? questionSource : getDefaultProviderName(),
+    scoring: normalizeScoring(scoring),
+    allowAnswerChange: allowAnswerChange === true && !selfPaced,
+    playerGroup: normalizePlayerGroup(playerGroup),
+    teams: normalizeTeams(teams),
+    teamScoring: selfPaced && teamScoring === "captain" ? "sum" : teamScoring,
+    maxPlayers: normalizeMaxPlayers(maxPlayers),
+    profanityFilter: profanityFilter === true,
+    selfPaced
+  };
+};
+
+// Progress at the start of a game, before the first question is opened
+const initializeProgress = () => ({
+  roundIndex: null, // Position in room.rounds of the round being played
+  currentRound: null, // Category of the round being played
+  roundNumber: 1,
+  currentQuestion: 1,
+  roundQuestions: null,
+  questionStartedAt: null,
+  questionDeadline: null,
+  questionClosed: true,
+  pausedAt: null, // Set while the host has the quiz paused
+  pausedRemaining: null // Time that was left on the question's deadline when it was paused
+});
+
+// Generates the first round for a set of game settings without touching the room
+// Self-paced quizzes get every round, played as one list of questions (see flattenRounds in selfPaced.js)
+// room is the room being restarted, so its question history and provider session carry over to the new game
+// Returns the state to put on the room once the questions have arrived:
+// { currentProgress, questionHistory, gameQuestions, providerSession }
+const prepareFirstRound = async (settings, room) => {
+  if (settings.rounds.length === 0) {
+    throw new Error("No rounds to play");
+  }
+
+  const draft = {
+    roomId: room ? room.roomId : null,
+    questionSource: settings.questionSource,
+    rounds: settings.rounds,
+    playerGroup: settings.playerGroup,
+    questionHistory: room ? [...room.questionHistory] : [], // Fingerprints of every question used in the room
+    gameQuestions: [], // Fingerprints of the questions used in this game
+    providerSession: room ? room.providerSession : {}, // Per-room state for question providers
+    currentProgress: initializeProgress()
+  };
+  moveToRound(draft, 0, await loadRoundQuestions(draft, 0));
+
+  if (settings.selfPaced) {
+    const roundQuestionsList = [draft.currentProgress.roundQuestions];
+    for (let roundIndex = 1; roundIndex < settings.rounds.length; roundIndex++) {
+      roundQuestionsList.push(await loadRoundQuestions(draft, roundIndex));
+    }
+    draft.currentProgress.roundQuestions = flattenRounds(settings.rounds, roundQuestionsList);
+    draft.currentProgress.currentQuestion = null; // Every player is on their own question
+  }
+
+  return {
+    currentProgress: draft.currentProgress,
+    questionHistory: draft.questionHistory,
+    gameQuestions: draft.gameQuestions,
+    providerSession: draft.providerSession
+  };
+};
+
 // Called by the Game Master App
 // Creates a new game room for the quiz session and add to Rooms
-// rounds is passed as an array representing the category id of the round eg. [10, 10, 12, 30, 9, 12]
-// mode is the level of difficulty of the quiz. (1 = Easy, 2 = Medium, 3 = Hard, 4 = Kids)
-const createRoom = async (socket, rooms, questionTimeLimit, questionsPerRound, rounds, mode) => {
-  questionTimeLimit = questionTimeLimit !== undefined ? questionTimeLimit : 0;
-  questionsPerRound = questionsPerRound !== undefined ? questionsPerRound : 5;
+// settings are the game settings from the room:create payload, see buildGameSettings
+const createRoom = async (socket, rooms, settings) => {
+  // Generate the first round of questions for the room object
+  let firstRound;
+  try {
+    firstRound = await prepareFirstRound(settings);
+  } catch (error) {
+    console.error("Error generating round questions:", error);
+    throw new Error("Failed to create room due to question generation error");
+  }
 
   const roomId = generateUniqueRoomId(rooms);
 
   const room = {
     roomId,
     gameMaster: socket.id,
-    questionTimeLimit : questionTimeLimit,
-    questionPerRound: questionsPerRound,
-    mode: mode,
-    rounds: rounds,
+    hostToken: generateToken(), // Control events must carry it (or come from the game master's socket) to be accepted
+    ...settings,
     players: {
  
     },
+    teamStandings: getTeamStandings({ ...settings, players: {} }),
+    locked: false, // A locked room takes no new players, players already in it can still rejoin
+    bans: [], // Players the host banned, see createBan in moderation.js
+    kicked: [], // { playerId, name, profileId } of players the host removed, they can't come back with player:rejoin
     quizStarted: false,
-    currentProgress: {
-      currentRound: null,
-      currentQuestion: 1,
-      roundQuestions: null
-    }
+    phase: "lobby", // lobby, question, questionResult, endOfRound, selfPaced (players on their own) or endOfGame
+    gamesPlayed: 0, // Completed games in this room, for the series tally
+    gameStartedAt: null,
+    gameLog: [], // Rounds played so far in this game, see recordRound in gameHistory.js
+    lastGameId: null, // Id of the last finished game in the game history, for the results page
+    createdAt: Date.now(),
+    lastActivityAt: Date.now(), // Updated on every event for the room
+    phaseChangedAt: Date.now(),
+    hostDisconnectedAt: null,
+    ...firstRound
   };
 
-  // Generate the first round of questions and update the room object
-  try {
-    const roundQuestions = await generateRound(null, rounds, mode, questionsPerRound, room);
-    room.currentProgress.roundQuestions = roundQuestions; // Update roundQuestions in the room object
-  } catch (error) {
-    console.error("Error generating round questions:", error);
-    throw new Error("Failed to create room due to question generation error");
-  }
-
   rooms.set(roomId, room); // Add the room to the Map
+  saveRoom(room);
   socket.join(roomId); // Join the socket to the room
 
   console.log(`Room created: ${roomId} (Total rooms: ${rooms.size})`); // Log room creation
@@ -212,19 +776,277 @@ const createRoom = async (socket, rooms, questionTimeLimit, questionsPerRound, r
   return room;
 };
 
+// Ends the game: marks any answers still waiting to be marked, works out the final standings, archives the game
+// (see gameHistory.js) and sends each player their own player data along with the public scoreboard
+// Returns false when the game had already ended (eg. a double click), it is only archived once
+const endGame = (io, room) => {
+  clearQuestionTimer(room.roomId);
+  clearRoundPrefetch(room.roomId);
+  const gameEnded = room.phase === "endOfGame";
+  room.currentProgress.pausedAt = null;
+  room.currentProgress.pausedRemaining = null;
+  // Self-paced players can leave numeric answers waiting on any question, not just the current one
+  Object.keys(room.currentProgress.roundQuestions || {}).forEach((questionId) => settleQuestion(room, questionId));
+  room.currentProgress.questionClosed = true;
+  room.phase = "endOfGame";
+  room.phaseChangedAt = Date.now();
+
+  calculateRankings(room);
+
+  if (!gameEnded) {
+    room.lastGameId = archiveGame(room).id;
+  }
+
+  const scoreboard = scoreboardView(room);
+  Object.keys(room.players).forEach((playerId) => {
+    io.to(playerId).emit("quiz:endOfGame", {
+      message: "The game has ended.",
+      roomId: room.roomId,
+      playerData: playerStats(room.players[playerId]),
+      scoreboard
+    });
+  });
+  updateDisplays(io, room);
+  return !gameEnded;
+};
+
+// Opens a self-paced quiz (see selfPaced.js) as soon as its room is created or restarted
+// Players start on their own, the quiz closes by itself at its closing time
+const openSelfPacedQuiz = (io, room) => {
+  const now = Date.now();
+  room.quizStarted = true;
+  room.phase = "selfPaced";
+  room.phaseChangedAt = now;
+  room.gameStartedAt = now;
+  Object.values(room.players).forEach((player) => {
+    player.selfPacedProgress = initializeSelfPacedProgress();
+  });
+  scheduleSelfPacedClose(io, room);
+};
+
+const scheduleSelfPacedClose = (io, room) => {
+  clearQuestionTimer(room.roomId);
+  const delay = Math.max(0, room.selfPaced.closesAt - Date.now());
+  questionTimers.set(room.roomId, setTimeout(() => closeSelfPacedQuiz(io, room), delay));
+};
+
+// The final standings go to every player (see endGame) and to the host, who may not have the room open
+const closeSelfPacedQuiz = (io, room) => {
+  questionTimers.delete(room.roomId);
+  if (!endGame(io, room)) return;
+
+  io.to(room.gameMaster).emit("quiz:endOfGame", { message: "The quiz has closed.", room: gameMasterView(room) });
+  saveRoom(room); // Closed by its timer, outside any event
+  console.log(`Self-paced quiz closed in room: ${room.roomId}`);
+};
+
+// Closes a room for good: stops its timer, tells everyone in it and removes it from the Map
+// Player clients go back to the join screen when they get room:closed
+// reason is "closedByHost", "idle", "finished" or "hostLeft"
+const closeRoom = (io, rooms, room, reason) => {
+  clearQuestionTimer(room.roomId);
+  clearRoundPrefetch(room.roomId);
+
+  io.to(room.roomId).to(displayChannel(room.roomId)).emit("room:closed", {
+    roomId: room.roomId,
+    reason,
+    message: reason === "closedByHost" ? "The host has closed the room." : "This room has closed."
+  });
+  io.in(room.roomId).socketsLeave(room.roomId);
+  io.in(displayChannel(room.roomId)).socketsLeave(displayChannel(room.roomId));
+  rooms.delete(room.roomId);
+  deleteRoom(room.roomId);
+
+  console.log(`Room closed: ${room.roomId} (${reason}) (Total rooms: ${rooms.size})`);
+};
+
+// Removes players who disconnected and never rejoined
+// The game master is told so the player list stays accurate
+const removeDepartedPlayers = (io, room, now) => {
+  const departed = Object.entries(room.players).filter(
+    ([, player]) => player.disconnectedAt && now - player.disconnectedAt > PLAYER_REJOIN_TIMEOUT
+  );
+  if (departed.length === 0) return;
+
+  departed.forEach(([playerId, player]) => {
+    delete room.players[playerId];
+    console.log(`Player ${player.name} removed from room ${room.roomId} after not rejoining`);
+  });
+  ensureCaptains(room); // A removed captain hands over to a teammate
+
+  io.to(room.gameMaster).emit("player:removed", {
+    playerIds: departed.map(([playerId]) => playerId),
+    room: gameMasterView(room)
+  });
+  updateDisplays(io, room);
+  saveRoom(room);
+};
+
+// Takes out a player the host kicked or banned: they are told why, removed from the room and disconnected
+// (their page connects again on its own so they can join another room)
+// room.kicked remembers them (by socket id, name and profile) so player:rejoin can't bring them back
+const removePlayer = (io, room, playerId, banned) => {
+  const player = room.players[playerId];
+  delete room.players[playerId];
+  room.kicked.push({ playerId, name: nameKey(player.name), profileId: player.profileId });
+  ensureCaptains(room); // A removed captain hands over to a teammate
+  if (room.quizStarted) {
+    calculateRankings(room);
+  } else {
+    room.teamStandings = getTeamStandings(room);
+  }
+
+  io.to(playerId).emit("player:kicked", {
+    roomId: room.roomId,
+    banned,
+    message: banned ? "The host has banned you from this room." : "The host removed you from this room."
+  });
+  const playerSocket = io.sockets.sockets.get(playerId);
+  if (playerSocket) {
+    playerSocket.leave(room.roomId);
+    playerSocket.disconnect(true);
+  }
+
+  io.to(room.gameMaster).emit("player:removed", {
+    playerIds: [playerId],
+    room: gameMasterView(room)
+  });
+  updateDisplays(io, room);
+
+  // The question may have only been waiting for this player
+  closeIfAllAnswered(io, room);
+
+  console.log(`Player ${player.name} ${banned ? "banned" : "kicked"} from room ${room.roomId}`);
+};
+
+// Checks every room for expiry and garbage collects departed players
+const sweepRooms = (io, rooms) => {
+  const now = Date.now();
+
+  for (const room of [...rooms.values()]) {
+    if (room.phase === "endOfGame" && now - room.phaseChangedAt > FINISHED_ROOM_TIMEOUT) {
+      closeRoom(io, rooms, room, "finished");
+    } else if (isSelfPacedOpen(room)) {
+      // Open until its closing time whether or not anyone is around, players who left keep their place in the standings
+      continue;
+    } else if (room.hostDisconnectedAt && now - room.hostDisconnectedAt > HOST_REJOIN_TIMEOUT) {
+      closeRoom(io, rooms, room, "hostLeft");
+    } else if (now - room.lastActivityAt > ROOM_IDLE_TIMEOUT) {
+      closeRoom(io, rooms, room, "idle");
+    } else {
+      removeDepartedPlayers(io, room, now);
+    }
+  }
+};
+
+// Called once from index.js, runs sweepRooms in the background
+const startRoomSweeper = (io, rooms) => {
+  const interval = setInterval(() => sweepRooms(io, rooms), ROOM_SWEEP_INTERVAL);
+  interval.unref(); // Don't keep the process alive just for the sweeper
+  return interval;
+};
+
+// Called once from index.js before the server starts listening, puts the saved rooms (see roomStore.js) back in the Map
+// Every socket is gone after a restart, so the host and players are marked as disconnected and come back
+// with host:rejoin and player:rejoin as they would after losing their connection
+// Question timers and round prefetches only live in this process, so they are started again here
+const restoreRooms = async (io, rooms) => {
+  let savedRooms;
+  try {
+    savedRooms = await loadRooms();
+  } catch (error) {
+    console.error("Error loading saved rooms:", error);
+    return;
+  }
+
+  const now = Date.now();
+  savedRooms.forEach(({ savedAt, ...room }) => {
+    room.hostDisconnectedAt = room.hostDisconnectedAt || now;
+    room.lastActivityAt = now; // The time the server was down doesn't count towards the idle timeout
+    Object.values(room.players).forEach((player) => {
+      player.disconnectedAt = player.disconnectedAt || now;
+    });
+    rooms.set(room.roomId, room);
+
+    const { questionClosed, questionDeadline, pausedAt } = room.currentProgress;
+    if (room.phase === "question" && !questionClosed && !pausedAt && questionDeadline) {
+      if (questionDeadline <= now) {
+        closeQuestion(io, room, "timeout");
+      } else {
+        questionTimers.set(room.roomId, setTimeout(() => closeQuestion(io, room, "timeout"), questionDeadline - now));
+      }
+    }
+    if (room.quizStarted && room.phase !== "endOfGame") {
+      prefetchNextRound(room);
+    }
+    if (isSelfPacedOpen(room)) {
+      scheduleSelfPacedClose(io, room); // Closes it straight away if the closing time went by while the server was down
+    }
+  });
+
+  console.log(`Restored ${savedRooms.length} saved rooms`);
+};
+
 const roomHandler = (io, socket, rooms) => {
+  // Any event that names a room counts as activity for the idle timeout
+  socket.onAny((event, payload) => {
+    const room = payload && rooms.get(payload.roomId);
+    if (room) {
+      room.lastActivityAt = Date.now();
+    }
+  });
+
+  // A room is saved (see roomStore.js) once an event for it has been handled, which is when the event's callback
+  // is called, as handlers that wait for questions only change the room once they have arrived
+  socket.use((packet, next) => {
+    const [, payload] = packet;
+    const callback = packet[packet.length - 1];
+    if (payload && payload.roomId && typeof callback === "function") {
+      packet[packet.length - 1] = (...args) => {
+        const room = rooms.get(payload.roomId);
+        if (room) saveRoom(room);
+        callback(...args);
+      };
+    }
+    next();
+  });
+
+  // Checks that a control event comes from the game master
+  // The host socket is always accepted, a matching hostToken from any other socket is accepted too
+  // and re-binds the game master to that socket (eg. after the host page was reloaded)
+  const authorizeGameMaster = (room, payload) => {
+    if (socket.id === room.gameMaster) return true;
+    if (!tokensMatch(payload.hostToken, room.hostToken)) return false;
+
+    console.log(`Game master of room ${room.roomId} reclaimed from ${room.gameMaster} to ${socket.id}`);
+
+    // Leave the old host socket out of the room (if it still exists)
+    if (io.sockets.sockets.has(room.gameMaster)) {
+      io.sockets.sockets.get(room.gameMaster).leave(room.roomId);
+    }
+
+    room.gameMaster = socket.id;
+    room.hostDisconnectedAt = null;
+    socket.join(room.roomId);
+    return true;
+  };
+
   const create = async (payload, callback) => {
 
     try {
-      const newRoom = await createRoom(
-        socket,
-        rooms,
-        payload.questionTimeLimit,
-        payload.questionPerRound,
-        payload.rounds,
-        payload.mode
-      );
-      callback(null, newRoom);
+      const settings = buildGameSettings(payload);
+      const lockedPacks = await findLockedPacks(settings.rounds, payload.packKeys);
+      if (lockedPacks.length > 0) {
+        return callback(packKeyError(lockedPacks));
+      }
+
+      const newRoom = await createRoom(socket, rooms, settings);
+      if (newRoom.selfPaced) {
+        openSelfPacedQuiz(io, newRoom);
+        saveRoom(newRoom);
+      }
+      // The host token is only ever sent back to the socket that created the room
+      callback(null, { ...gameMasterView(newRoom), hostToken: newRoom.hostToken });
     } catch (error) {
       console.error("Error creating room:", error);
       callback({ error: "Failed to create room" });
@@ -234,6 +1056,18 @@ const roomHandler = (io, socket, rooms) => {
   const startQuiz = (payload, callback) => {
     const room = rooms.get(payload.roomId); // Get the room from the Map
     if (room) {
+      if (!authorizeGameMaster(room, payload)) {
+        return callback(notAuthorizedError());
+      }
+
+      if (room.selfPaced) {
+        return callback(selfPacedError());
+      }
+
+      // Starting again would reopen the first question in the middle of the game
+      if (room.quizStarted) {
+        return callback({ error: true, code: "QUIZ_STARTED", message: "The quiz has already started." });
+      }
 
       // Check if there is at least one player in the room
       const playerCount = Object.keys(room.players).length;
@@ -241,58 +1075,254 @@ const roomHandler = (io, socket, rooms) => {
         return callback({ error: "Cannot start quiz: No players in the room" });
       }
 
-      room.quizStarted = true; // Mark Quiz as started
+      room.quizStarted = true; // Mark Quiz as started
+      room.gameStartedAt = Date.now();
+
+      // The first question opens as soon as the quiz starts
+      const timing = openQuestion(io, room, 1);
+
+      // Notify all players in the room that the quiz has started
+      io.to(room.roomId).emit("quiz:started", { message: "The quiz has started!", timing });
+
+      // Start loading the second round while the first one is played
+      prefetchNextRound(room);
+
+      console.log ("Quiz started");
+      return callback(null, "Quiz started successfully");
+
+    }
+    
+    return callback("error: room not found"); // Return error message if room is not found
+  }
+
+  // The join screen asks for a room's teams so the player can pick one (team play only)
+  const listTeams = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      return callback({ error: true, message: "Room not found" });
+    }
+    return callback(null, teamsView(room));
+  };
+
+  // Big screen displays join with the room code, they are read-only and aren't added to room.players
+  // The reply is the display's view of the room, later changes arrive as display:update
+  const displayJoin = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found for display: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    socket.join(displayChannel(room.roomId));
+    console.log(`Display joined room: ${room.roomId}`);
+    return callback(null, {
+      ...displayView(room),
+      timing: getQuestionTiming(room),
+      questionResult: room.phase === "questionResult" ? questionResultView(room, room.currentProgress.currentQuestion) : null
+    });
+  };
+
+  const playerJoin = (payload, callback) => {
+    const room = rooms.get(payload.roomId); // Get the room from the Map
+    if (room) {
+      // Names are cleaned up before anything else looks at them (see moderation.js)
+      const name = sanitizeText(payload.name);
+      const profileId = normalizeProfileId(payload.profileId);
+
+      if (isBanned(room, name, profileId)) {
+        return callback({ error: true, code: "BANNED", message: "You can't join this room." });
+      }
+
+      // Check if the quiz has already started, players can join a self-paced quiz until it closes
+      if (room.quizStarted && !isSelfPacedOpen(room)) {
+        const message = room.selfPaced ? "This quiz has closed." : "Quiz has already started. No new players can join.";
+        return callback({ error: true, message });
+      }
+
+      if (room.players[socket.id]) {
+        return callback(null, playerView(room, socket.id)); // Player is already in the room
+      }
+
+      if (room.locked) {
+        return callback({ error: true, code: "ROOM_LOCKED", message: "The host has locked this room." });
+      }
+      if (Object.keys(room.players).length >= room.maxPlayers) {
+        return callback({ error: true, code: "ROOM_FULL", message: "This room is full." });
+      }
+
+      const nameError = validatePlayerName(name, room);
+      if (nameError) {
+        return callback(nameError);
+      }
+
+      // Check if player name already exists in room (ignoring case, accents and lookalike characters)
+      const nameExists = Object.values(room.players).some((player) => nameKey(player.name) === nameKey(name));
+      if (nameExists) {
+        return callback({ error: true, code: "NAME_TAKEN", message: "Name already taken. Please choose a different name." });
+      }
+
+      // Claimed names can only be used by the player who claimed them
+      if (isNameClaimed(name, profileId)) {
+        return callback({ error: true, code: "NAME_CLAIMED", message: "That name belongs to another player. Please choose a different name." });
+      }
+      
+      // Add the new player to the room, in team play they go in the team they picked or the smallest team
+      room.players[socket.id] = initializePlayer(name, assignTeam(room, payload.team), profileId);
+      room.players[socket.id].bot = botInvites.get(payload.botToken) === room.roomId;
+      botInvites.delete(payload.botToken);
+      if (room.selfPaced) {
+        room.players[socket.id].selfPacedProgress = initializeSelfPacedProgress();
+      }
+      ensureCaptains(room);
+      room.teamStandings = getTeamStandings(room);
+      room.kicked = room.kicked.filter((removed) => removed.name !== nameKey(name)); // Joined again from the join screen
+      socket.join(room.roomId);
+
+      // Notify the Game Master specifically of the new player's name
+      io.to(room.gameMaster).emit("player:joined", { 
+        name,
+        playerId: socket.id,
+        room: gameMasterView(room) // Send the updated room object to the game master
+      });
+
+      updateDisplays(io, room);
+
+      // payload.claimName keeps the name for this player in every room from now on
+      if (profileId) {
+        recordProfile(profileId, name, { claimName: payload.claimName === true })
+          .then((saved) => {
+            if (!saved) console.log(`Name ${name} was claimed by another player before ${profileId} could claim it`);
+          })
+          .catch((error) => console.error("Error saving player profile:", error));
+      }
+
+      console.log(`Player joined room: ${room.roomId}`);
+      return callback(null, playerView(room, socket.id));
+
+    }
+
+    // Handle the case where the room does not exist
+    console.error(`Room not found or not joinable: ${payload.roomId}`);
+    return callback({ error: true, message: "Room not found or not joinable" });
+  };
+
+  // The host removes a player from the room, they can join again from the join screen (unless the room is locked)
+  // but not with player:rejoin
+  const kickPlayer = (payload, callback) => moderatePlayer(payload, callback, false);
+
+  // A banned player is removed and can't join the room again under the same name or with the same profile
+  const banPlayer = (payload, callback) => moderatePlayer(payload, callback, true);
+
+  const moderatePlayer = (payload, callback, ban) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found ${ban ? "banPlayer" : "kickPlayer"}: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    if (!hasPlayer(room, payload.playerId)) {
+      return callback({ error: true, code: "PLAYER_NOT_FOUND", message: "That player isn't in the room." });
+    }
+    const player = room.players[payload.playerId];
+
+    if (ban) {
+      room.bans.push(createBan(player));
+    }
+    removePlayer(io, room, payload.playerId, ban);
+    return callback(null, gameMasterView(room));
+  };
+
+  // The host locks the room so nobody new can join, or unlocks it again (payload.locked)
+  const lockRoom = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found lockRoom: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
 
-      // Notify all players in the room that the quiz has started
-      io.to(room.roomId).emit("quiz:started", { message: "The quiz has started!" });
+    room.locked = payload.locked !== false;
+    updateDisplays(io, room);
 
-      console.log ("Quiz started");
-      return callback(null, "Quiz started successfully");
+    console.log(`Room ${room.roomId} ${room.locked ? "locked" : "unlocked"}`);
+    return callback(null, gameMasterView(room));
+  };
 
+  // The host adds bot players (see bots.js), eg. to fill a practice game or to try a room with a crowd
+  // payload: { roomId, hostToken, count, skill }, skill sets each bot's accuracy and response times per difficulty
+  // Bots connect to this server and join with player:join like any player, so a locked or full room turns them away
+  // They know the answers from the room itself and only live in this process, after a restart they are gone and
+  // are removed like players who never came back
+  const addBots = async (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found addBots: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
     }
-    
-    return callback("error: room not found"); // Return error message if room is not found
-  }
-
-  const playerJoin = (payload, callback) => {
-    const room = rooms.get(payload.roomId); // Get the room from the Map
-    if (room) {
 
-      // Check if the quiz has already started
-      if (room.quizStarted) {
-        return callback({ error: true, message: "Quiz has already started. No new players can join." });
-      }
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
 
-      if (room.players[socket.id]) {
-        return callback(null, room); // Player is already in the room
-      }
-      
-      // Check if player name already exists in room (case-insensitive)
-      const nameExists = Object.values(room.players).some(
-        player => player.name.toLowerCase().trim() === payload.name.toLowerCase().trim()
-      );
-      if (nameExists) {
-        return callback({ error: true, message: "Name already taken. Please choose a different name." });
-      }
-      
-      // Add the new player to the room
-      room.players[socket.id] = initializePlayer(payload.name);
-      socket.join(room.roomId);
+    if (room.quizStarted && !isSelfPacedOpen(room)) {
+      return callback({ error: true, code: "QUIZ_STARTED", message: "Bots can only join before the quiz starts." });
+    }
+    if (room.locked) {
+      return callback({ error: true, code: "ROOM_LOCKED", message: "Unlock the room to add bots." });
+    }
 
-      // Notify the Game Master specifically of the new player's name
-      io.to(room.gameMaster).emit("player:joined", { 
-        name: payload.name,
-        room: room // Send the updated room object to the game master
+    const count = payload.count === undefined ? 1 : payload.count;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BOTS_PER_REQUEST) {
+      return callback({
+        error: true,
+        code: "INVALID_COUNT",
+        message: `Bots are added 1 to ${MAX_BOTS_PER_REQUEST} at a time.`
       });
+    }
 
-      console.log(`Player joined room: ${room.roomId}`);
-      return callback(null, room);
+    const places = room.maxPlayers - Object.keys(room.players).length;
+    if (places <= 0) {
+      return callback({ error: true, code: "ROOM_FULL", message: "This room is full." });
+    }
+    if (count > places) {
+      return callback({ error: true, code: "ROOM_FULL", message: `Only ${places} more ${places === 1 ? "player fits" : "players fit"} in this room.` });
+    }
 
+    // Bots are numbered after the ones already in the room, "Bot 1", "Bot 2" ...
+    const taken = new Set(Object.values(room.players).map((player) => nameKey(player.name)));
+    const names = [];
+    for (let number = 1; names.length < count; number++) {
+      if (!taken.has(nameKey(`Bot ${number}`))) names.push(`Bot ${number}`);
     }
 
-    // Handle the case where the room does not exist
-    console.error(`Room not found or not joinable: ${payload.roomId}`);
-    return callback({ error: true, message: "Room not found or not joinable" });
+    const url = `http://localhost:${io.httpServer.address().port}`;
+    const answerKey = roomAnswerKey(() => rooms.get(room.roomId));
+    const botTokens = names.map(() => generateToken());
+    botTokens.forEach((botToken) => botInvites.set(botToken, room.roomId));
+    const joined = await Promise.allSettled(
+      names.map((name, index) =>
+        createBot({ url, roomId: room.roomId, name, skill: payload.skill, answerKey, botToken: botTokens[index] }))
+    );
+    botTokens.forEach((botToken) => botInvites.delete(botToken)); // Bots that couldn't join
+
+    let added = 0;
+    joined.forEach((result) => {
+      if (result.status === "fulfilled" && room.players[result.value.socket.id]) {
+        added += 1;
+      } else if (result.status === "rejected") {
+        console.error(`Bot couldn't join room ${room.roomId}:`, result.reason.message);
+      }
+    });
+
+    console.log(`Added ${added} bots to room ${room.roomId}`);
+    return callback(null, { ...gameMasterView(room), botsAdded: added });
   };
 
   // Handle player reconnection - reassigns old player data to new socket.id
@@ -304,15 +1334,33 @@ const roomHandler = (io, socket, rooms) => {
     }
 
     const oldSocketId = payload.oldSocketId;
-    const playerName = payload.name;
+    const playerName = sanitizeText(payload.name);
+    const profileId = normalizeProfileId(payload.profileId);
+
+    // A socket id that isn't one of the room's players falls back to the profile and name below
+    if (oldSocketId !== undefined && oldSocketId !== null && typeof oldSocketId !== "string") {
+      return callback({ error: true, code: "PLAYER_NOT_FOUND", message: "That player isn't in the room." });
+    }
+
+    if (isBanned(room, playerName, profileId)) {
+      return callback({ error: true, code: "BANNED", message: "You can't join this room." });
+    }
+
+    // Players the host removed can't come back this way
+    const wasKicked = (removed) =>
+      removed.playerId === oldSocketId || removed.name === nameKey(playerName) || (profileId && removed.profileId === profileId);
+    if (room.kicked.some(wasKicked)) {
+      return callback({ error: true, code: "KICKED", message: "The host removed you from this room." });
+    }
 
     // Check if old player data exists
-    if (oldSocketId && room.players[oldSocketId]) {
+    if (hasPlayer(room, oldSocketId)) {
       // Found old player data - reassign to new socket.id
       console.log(`Reassigning player ${playerName} from ${oldSocketId} to ${socket.id}`);
       
       // Copy player data to new socket.id
       room.players[socket.id] = room.players[oldSocketId];
+      room.players[socket.id].disconnectedAt = null;
       
       // Remove old socket.id entry
       delete room.players[oldSocketId];
@@ -330,24 +1378,26 @@ const roomHandler = (io, socket, rooms) => {
         oldSocketId: oldSocketId,
         newSocketId: socket.id,
         playerName: playerName,
-        room: room
+        room: gameMasterView(room)
       });
 
+      updateDisplays(io, room);
       console.log(`Player ${playerName} reconnected and reassigned from ${oldSocketId} to ${socket.id}`);
-      return callback(null, room);
+      return callback(null, playerView(room, socket.id));
     }
 
-    // If old socket.id not found, try to find by name (fallback)
-    const existingPlayer = Object.entries(room.players).find(
-      ([id, player]) => player.name === playerName
-    );
+    // If old socket.id not found, try to find by profile (eg. the page was reloaded) and then by name (fallback)
+    const existingPlayer =
+      Object.entries(room.players).find(([id, player]) => profileId && player.profileId === profileId) ||
+      Object.entries(room.players).find(([id, player]) => nameKey(player.name) === nameKey(playerName));
 
     if (existingPlayer) {
       const [oldId, playerData] = existingPlayer;
-      console.log(`Found player ${playerName} by name, reassigning from ${oldId} to ${socket.id}`);
+      console.log(`Found player ${playerName} by profile or name, reassigning from ${oldId} to ${socket.id}`);
       
       // Copy player data to new socket.id
       room.players[socket.id] = playerData;
+      playerData.disconnectedAt = null;
       
       // Remove old socket.id entry
       delete room.players[oldId];
@@ -365,23 +1415,16 @@ const roomHandler = (io, socket, rooms) => {
         oldSocketId: oldId,
         newSocketId: socket.id,
         playerName: playerName,
-        room: room
+        room: gameMasterView(room)
       });
 
+      updateDisplays(io, room);
       console.log(`Player ${playerName} reconnected and reassigned from ${oldId} to ${socket.id}`);
-      return callback(null, room);
+      return callback(null, playerView(room, socket.id));
     }
 
-    // If quiz hasn't started, allow them to join as new player (but check name uniqueness)
-    if (!room.quizStarted) {
-      // Check if player name already exists in room (case-insensitive)
-      const nameExists = Object.values(room.players).some(
-        player => player.name.toLowerCase().trim() === playerName.toLowerCase().trim()
-      );
-      if (nameExists) {
-        return callback({ error: true, message: "Name already taken. Please choose a different name." });
-      }
-      
+    // If quiz hasn't started (or is self-paced and still open), allow them to join as new player (playerJoin checks the name)
+    if (!room.quizStarted || isSelfPacedOpen(room)) {
       console.log(`Player ${playerName} not found, joining as new player`);
       return playerJoin(payload, callback);
     }
@@ -391,6 +1434,41 @@ const roomHandler = (io, socket, rooms) => {
     return callback({ error: true, message: "Player not found in room. Quiz has already started." });
   };
 
+  // Handle game master reconnection - the host page keeps its hostToken and sends it back with the new socket.id
+  // Re-binds room.gameMaster to the new socket and returns everything the host screen needs to resume:
+  // the current phase, the current question's timing, which players have already answered it
+  // and the question's results while they are on screen
+  const hostRejoin = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found for host rejoin: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    const currentQid = room.currentProgress.currentQuestion;
+    const answeredPlayerIds = Object.entries(room.players)
+      .filter(([, player]) => player.currentRoundAnswers[currentQid] !== undefined)
+      .map(([playerId]) => playerId);
+
+    // Let the players know the host is back
+    if (!isSelfPacedOpen(room)) {
+      socket.to(room.roomId).emit("host:reconnected", { message: "The host has reconnected." });
+    }
+
+    console.log(`Game master rejoined room ${room.roomId} during phase: ${room.phase}`);
+    return callback(null, {
+      ...gameMasterView(room),
+      hostToken: room.hostToken,
+      timing: getQuestionTiming(room),
+      answeredPlayerIds,
+      questionResult: room.phase === "questionResult" ? questionResultView(room, currentQid) : null
+    });
+  };
+
   // Game master will call this function
   // room id will be passed as a paramater
   // question id will be passed as a paramater
@@ -399,16 +1477,37 @@ const roomHandler = (io, socket, rooms) => {
   const nextQuestion = (payload, callback) => {
     const room = rooms.get(payload.roomId); // Get the room from the Map
     if (room) {
-      // Update the currentQuestion in the room object
-      room.currentProgress.currentQuestion = payload.questionId;
+      if (!authorizeGameMaster(room, payload)) {
+        return callback(notAuthorizedError());
+      }
+
+      if (room.selfPaced) {
+        return callback(selfPacedError());
+      }
+
+      if (!room.quizStarted) {
+        return callback({ error: true, code: "QUIZ_NOT_STARTED", message: "The quiz hasn't started yet." });
+      }
+
+      if (room.currentProgress.pausedAt) {
+        return callback(pausedError());
+      }
+
+      // Only questions of the round being played can be opened
+      const questionId = Number(payload.questionId);
+      const { roundQuestions } = room.currentProgress;
+      if (!roundQuestions || !roundQuestions[questionId]) {
+        return callback({ error: true, code: "NO_QUESTION", message: `There is no question ${payload.questionId} in this round.` });
+      }
+
+      // Update the currentQuestion in the room object and start its timer
+      const timing = openQuestion(io, room, questionId);
   
-      // Notify all players in the room about the new question ID
-      io.to(room.roomId).emit("quiz:nextQuestion", { 
-        questionId: payload.questionId 
-      });
+      // Notify all players in the room about the new question ID and its deadline
+      io.to(room.roomId).emit("quiz:nextQuestion", timing);
   
-      console.log(`Question updated to: ${payload.questionId} in room: ${room.roomId}`);
-      return callback(null, room);
+      console.log(`Question updated to: ${questionId} in room: ${room.roomId}`);
+      return callback(null, gameMasterView(room));
     }
   
     // Handle the case where the room does not exist
@@ -419,19 +1518,43 @@ const roomHandler = (io, socket, rooms) => {
   const endOfRound = (payload, callback) => {
     const room = rooms.get(payload.roomId); // Retrieve the room from the Map
     if (room) {
+      if (!authorizeGameMaster(room, payload)) {
+        return callback(notAuthorizedError());
+      }
+
+      if (room.selfPaced) {
+        return callback(selfPacedError());
+      }
+
+      if (room.currentProgress.pausedAt) {
+        return callback(pausedError());
+      }
+
+      clearQuestionTimer(room.roomId);
+      settleQuestion(room, room.currentProgress.currentQuestion);
+      room.currentProgress.questionClosed = true;
+      room.phase = "endOfRound";
+      room.phaseChangedAt = Date.now();
+
       // Calculate rankings before returning room object
       calculateRankings(room);
+
+      // Keep the round's answers for the game history, nextRound clears them
+      recordRound(room);
       
-      // Send each player their own player data
+      // Send each player their own player data along with the public scoreboard
+      const scoreboard = scoreboardView(room);
       Object.keys(room.players).forEach((playerId) => {
         io.to(playerId).emit("quiz:endOfRound", {
           message: "The round has ended.",
           roomId: room.roomId,
-          playerData: room.players[playerId]
+          playerData: playerStats(room.players[playerId]),
+          scoreboard
         });
       });
+      updateDisplays(io, room);
       console.log(`End of round broadcasted in room: ${room.roomId}`);
-      return callback(null, room); // Return the updated room object
+      return callback(null, gameMasterView(room)); // Return the updated room object
     } else {
       console.error(`Room not found endOfRound: ${payload.roomId}`);
       return callback({ error: true, message: "Room not found" });
@@ -441,37 +1564,67 @@ const roomHandler = (io, socket, rooms) => {
   const nextRound = async (payload, callback) => {
     const room = rooms.get(payload.roomId); // Get the room from the Map
     if (room) {
+      if (!authorizeGameMaster(room, payload)) {
+        return callback(notAuthorizedError());
+      }
+
+      if (room.selfPaced) {
+        return callback(selfPacedError());
+      }
+
+      if (room.currentProgress.pausedAt) {
+        return callback(pausedError());
+      }
+
+      const roundIndex = room.currentProgress.roundIndex + 1;
+      if (!room.rounds[roundIndex]) {
+        return callback({ error: true, code: "NO_MORE_ROUNDS", message: "There are no more rounds in this quiz." });
+      }
+
       try {
         console.log("Next Round")
-        // Generate the next round of questions
-        const roundQuestions = await generateRound(
-          room.currentProgress.currentRound,
-          room.rounds,
-          room.mode,
-          room.questionPerRound,
-          room
-        );
+        // Use the questions prefetched during the last round, or load them now if that didn't work
+        const roundQuestions = await takePrefetchedRound(room.roomId, roundIndex) || await loadRoundQuestions(room, roundIndex);
+
+        // Another quiz:nextRound (eg. a double click) already moved on while the questions were loading
+        if (room.currentProgress.roundIndex !== roundIndex - 1) {
+          return callback(null, gameMasterView(room));
+        }
   
         // Update the room object with the new round data
-        room.currentProgress.roundQuestions = roundQuestions;
-        room.currentProgress.currentQuestion = 1; // Reset the question index
+        moveToRound(room, roundIndex, roundQuestions);
+        room.currentProgress.roundNumber += 1;
 
         // Reset each player's current round score and per-question tracking
         Object.keys(room.players).forEach((playerId) => {
           room.players[playerId].currentRoundScore = 0;
           room.players[playerId].currentRoundAnswers = {};
+          room.players[playerId].currentRoundPoints = {};
+          room.players[playerId].currentRoundSubmissions = {};
           room.players[playerId].endOfRoundRank = null; // Reset round rank for new round
           // overallRank is kept as is (carries over between rounds)
         });
 
-        // Notify all players in the room that the quiz has started
-        io.to(room.roomId).emit("quiz:roundStart", { message: "New round started!" });
+        // Open the first question of the new round
+        const timing = openQuestion(io, room, 1);
+
+        // Notify all players in the room that the new round has started
+        io.to(room.roomId).emit("quiz:roundStart", { message: "New round started!", timing });
+
+        // Start loading the round after this one
+        prefetchNextRound(room);
   
         // Return the updated room object
-        return callback(null, room);
+        return callback(null, gameMasterView(room));
       } catch (error) {
+        // The room stays on the end of round screen so the game master can try again
         console.error("Error generating next round:", error);
-        return callback({ error: "Failed to generate next round" });
+        return callback({
+          error: true,
+          code: "ROUND_UNAVAILABLE",
+          retryable: true,
+          message: "The next round's questions couldn't be loaded. Try again in a few seconds."
+        });
       }
     }
   
@@ -489,27 +1642,107 @@ const roomHandler = (io, socket, rooms) => {
         return callback({ error: true, message: "Player not found in the room." });
       }
   
-      const currentQid = room.currentProgress.currentQuestion;
+      // In a self-paced quiz the player answers the question they are on, against their own deadline
+      const progress = room.selfPaced ? player.selfPacedProgress : null;
+      const currentQid = progress ? progress.questionId : room.currentProgress.currentQuestion;
       const currentQuestion = room.currentProgress.roundQuestions[currentQid];
       if (!currentQuestion) {
         return callback({ error: true, message: "No active question found." });
       }
-  
-      // Check if the answer is correct
-      const correctAnswer = currentQuestion.correct_answer;
-      const playerAnswer = payload.answer; // Assuming payload.answer is 1-4 (A-D)
-  
+
+      if (room.currentProgress.pausedAt) {
+        return callback(pausedError());
+      }
+
+      // When teams play by captain only the captain's answer counts
+      if (!canAnswer(room, player)) {
+        return callback({ error: true, code: "CAPTAIN_ONLY", message: "Your team captain answers for your team." });
+      }
+
+      // A retry of a submission that was already accepted gets the same reply again
+      // submissionId is generated by the client for each tap and reused when it resends
+      const submissionId = sanitizeText(payload.submissionId, MAX_SUBMISSION_ID_LENGTH);
+      const previous = player.currentRoundSubmissions[currentQid];
+      if (previous && submissionId && previous.submissionId === submissionId) {
+        return callback(null, previous.result);
+      }
+
+      // Reject answers that arrive after the deadline or once the question has closed
+      const deadline = progress ? progress.deadline : room.currentProgress.questionDeadline;
+      const closed = progress ? !isSelfPacedOpen(room) : room.currentProgress.questionClosed;
+      if (closed || (deadline && Date.now() > deadline)) {
+        return callback({ error: true, code: "QUESTION_CLOSED", message: "Time is up for this question." });
+      }
+
+      // The first answer is final unless the room allows changes until the deadline
+      if (previous && !room.allowAnswerChange) {
+        return callback({ error: true, code: "ALREADY_ANSWERED", message: "You have already answered this question." });
+      }
+
+      // payload.answer depends on the question type: 1-4 (A-D), 1-2 (True/False), the typed text or a number
+      // Anything else is rejected rather than counted as wrong
+      const questionType = getQuestionType(currentQuestion.type);
+      const answer = typeof payload.answer === "string" ? sanitizeText(payload.answer) : payload.answer;
+      const playerAnswer = questionType.parseAnswer(currentQuestion, answer);
+      if (playerAnswer === null) {
+        return callback({ error: true, code: "INVALID_ANSWER", message: "That isn't a valid answer for this question." });
+      }
+
       // Map the player's answer to the actual answer text
-      const selectedAnswer = currentQuestion.allAnswers[playerAnswer - 1]; // Adjust for 0-based index
+      const selectedAnswer = currentQuestion.allAnswers.length > 0
+        ? currentQuestion.allAnswers[playerAnswer - 1] // Adjust for 0-based index
+        : playerAnswer;
+
+      // null when the answer can only be marked once the question closes (see settleQuestion)
+      const isCorrect = questionType.isCorrect(currentQuestion, playerAnswer);
+      const answeredAt = Date.now();
+
+      // Undo the previous answer's points and streak before re-scoring a changed answer
+      if (previous && previous.points) {
+        player.currentRoundScore -= previous.points.points;
+        player.totalScore -= previous.points.points;
+        player.streak = previous.streakBefore;
+      }
+      const streakBefore = player.streak;
 
-      const isCorrect = selectedAnswer === correctAnswer;
       // Record the answer for the current question:
       player.currentRoundAnswers[currentQid] = isCorrect;
-  
-      if (selectedAnswer === correctAnswer) {
+
+      // Score the answer with the room's scoring strategies
+      let breakdown = null;
+      if (isCorrect !== null) {
+        recordStreak(player, isCorrect);
+        breakdown = progress
+          ? scoreAnswer(room, player, { isCorrect, answeredAt, startedAt: progress.startedAt, deadline })
+          : scoreAnswer(room, player, { isCorrect, answeredAt });
+        player.currentRoundPoints[currentQid] = breakdown;
+
         // Update the player's scores
-        player.currentRoundScore += 1;
-        player.totalScore += 1;
+        player.currentRoundScore += breakdown.points;
+        player.totalScore += breakdown.points;
+      } else {
+        delete player.currentRoundPoints[currentQid];
+      }
+
+      const result = { message: previous ? "Answer changed successfully." : "Answer submitted successfully.", answer: playerAnswer };
+      player.currentRoundSubmissions[currentQid] = {
+        submissionId,
+        answer: playerAnswer,
+        answeredAt,
+        points: breakdown,
+        streakBefore,
+        result,
+        // The player's own timing, for marking the answer later (see settleQuestion)
+        ...(progress && { startedAt: progress.startedAt, deadline })
+      };
+
+      // A self-paced player sees the question's result straight away, nobody else is waiting on them
+      if (progress) {
+        calculateRankings(room);
+        console.log(`Player ${player.name} answered question ${currentQid} (Correct: ${isCorrect}) in self-paced room ${room.roomId}`);
+        callback(null, result);
+        socket.emit("quiz:questionResult", playerQuestionResultView(room, socket.id, currentQid));
+        return;
       }
   
       // Notify the game master that the player has answered
@@ -517,11 +1750,19 @@ const roomHandler = (io, socket, rooms) => {
         playerId: socket.id,
         playerName: player.name,
         answer: selectedAnswer,
-        isCorrect: selectedAnswer === correctAnswer
+        isCorrect,
+        changed: Boolean(previous),
+        points: breakdown
       });
   
-      console.log(`Player ${player.name} answered: ${selectedAnswer} (Correct: ${selectedAnswer === correctAnswer})`);
-      return callback(null, { message: "Answer submitted successfully." });
+      // Displays only see that the player has answered
+      io.to(displayChannel(room.roomId)).emit("display:playerAnswered", { playerId: socket.id, playerName: player.name });
+
+      console.log(`Player ${player.name} answered: ${selectedAnswer} (Correct: ${isCorrect}, Points: ${breakdown ? breakdown.points : "pending"})`);
+      callback(null, result);
+
+      closeIfAllAnswered(io, room);
+      return;
     }
   
     // Handle the case where the room does not exist
@@ -529,51 +1770,372 @@ const roomHandler = (io, socket, rooms) => {
     return callback({ error: true, message: "Room not found" });
   };
 
+  // A self-paced player moves on to their next question (payload.questionId is the question they are leaving,
+  // 0 for their first question), its countdown starts now
+  // A request for a question the player has already left (eg. a resend) gets the question they are on
+  // Once they are past the last question they wait for the quiz to close
+  const playerNextQuestion = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found playerNextQuestion: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    const player = room.players[socket.id];
+    if (!player) {
+      return callback({ error: true, message: "Player not found in the room." });
+    }
+
+    if (!room.selfPaced) {
+      return callback({ error: true, code: "HOSTED", message: "The host moves this quiz on." });
+    }
+    if (!isSelfPacedOpen(room)) {
+      return callback({ error: true, code: "QUIZ_CLOSED", message: "This quiz has closed." });
+    }
+
+    const progress = player.selfPacedProgress;
+    if (Number(payload.questionId) !== progress.questionId || progress.finishedAt) {
+      return callback(null, selfPacedView(room, socket.id));
+    }
+
+    // Moving on without answering breaks the player's streak, as running out of time does in a hosted quiz
+    if (progress.questionId > 0 && player.currentRoundAnswers[progress.questionId] === undefined) {
+      recordStreak(player, false);
+    }
+    advanceSelfPacedProgress(progress, room.currentProgress.roundQuestions);
+
+    io.to(room.gameMaster).emit("player:progress", {
+      playerId: socket.id,
+      playerName: player.name,
+      progress,
+      room: gameMasterView(room)
+    });
+
+    console.log(`Player ${player.name} is on question ${progress.questionId} in self-paced room ${room.roomId}`);
+    return callback(null, selfPacedView(room, socket.id));
+  };
+
+  // The host pauses the quiz while a question or its results are on screen
+  // The question's countdown stops and answers are refused until quiz:resume
+  const pause = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found pause: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    if (room.phase !== "question" && room.phase !== "questionResult") {
+      return callback({ error: true, code: "CANNOT_PAUSE", message: "The quiz can only be paused during a question." });
+    }
+    if (room.currentProgress.pausedAt) {
+      return callback({ error: true, code: "ALREADY_PAUSED", message: "The quiz is already paused." });
+    }
+
+    pauseQuiz(room);
+    io.to(room.roomId).emit("quiz:paused", { message: "The host has paused the quiz.", timing: getQuestionTiming(room) });
+    updateDisplays(io, room);
+
+    console.log(`Quiz paused in room: ${room.roomId}`);
+    return callback(null, gameMasterView(room));
+  };
+
+  const resume = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found resume: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    if (!room.currentProgress.pausedAt) {
+      return callback({ error: true, code: "NOT_PAUSED", message: "The quiz isn't paused." });
+    }
+
+    resumeQuiz(io, room);
+    io.to(room.roomId).emit("quiz:resumed", { message: "The quiz is back on.", timing: getQuestionTiming(room) });
+    updateDisplays(io, room);
+
+    console.log(`Quiz resumed in room: ${room.roomId}`);
+    return callback(null, { ...gameMasterView(room), timing: getQuestionTiming(room) });
+  };
+
+  // The host throws out the current question (eg. it is wrong or ambiguous), nobody scores anything for it
+  // A new question from the same category takes its place when the question source has one (payload.replace
+  // defaults to true), otherwise the question stays closed and the host moves on as usual
+  // Replies with the room and whether the question was replaced, a skip also ends a pause
+  const skipQuestion = async (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found skipQuestion: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    const questionId = room.currentProgress.currentQuestion;
+    const question = room.currentProgress.roundQuestions && room.currentProgress.roundQuestions[questionId];
+    if (!question || (room.phase !== "question" && room.phase !== "questionResult")) {
+      return callback({ error: true, code: "NO_QUESTION", message: "There is no question to skip." });
+    }
+
+    // Stop taking answers while a replacement is fetched
+    clearQuestionTimer(room.roomId);
+    room.currentProgress.questionClosed = true;
+    room.currentProgress.pausedAt = null;
+    room.currentProgress.pausedRemaining = null;
+    voidQuestion(room, questionId);
+    question.skipped = true;
+    calculateRankings(room);
+
+    const replacement = payload.replace === false ? null : await fetchReplacementQuestion(room, question);
+
+    // The host moved on (or skipped again) while the replacement was loading
+    if (room.currentProgress.roundQuestions[questionId] !== question || room.currentProgress.currentQuestion !== questionId) {
+      return callback(null, { ...gameMasterView(room), replaced: false });
+    }
+
+    let timing = null;
+    if (replacement) {
+      room.currentProgress.roundQuestions[questionId] = replacement;
+      timing = openQuestion(io, room, questionId);
+    } else {
+      updateDisplays(io, room);
+    }
+
+    io.to(room.roomId).emit("quiz:questionSkipped", {
+      message: replacement ? "The host swapped this question for a new one." : "The host skipped this question.",
+      questionId,
+      replaced: Boolean(replacement),
+      timing
+    });
+
+    console.log(`Question ${questionId} skipped (${replacement ? "replaced" : "not replaced"}) in room: ${room.roomId}`);
+    return callback(null, { ...gameMasterView(room), replaced: Boolean(replacement) });
+  };
+
+  // The host asks the current question again from the start, eg. after a technical problem
+  // Answers and points for it are thrown away and its countdown starts over
+  const reaskQuestion = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found reaskQuestion: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    const questionId = room.currentProgress.currentQuestion;
+    const question = room.currentProgress.roundQuestions && room.currentProgress.roundQuestions[questionId];
+    if (!question || question.skipped || (room.phase !== "question" && room.phase !== "questionResult")) {
+      return callback({ error: true, code: "NO_QUESTION", message: "There is no question to ask again." });
+    }
+
+    voidQuestion(room, questionId);
+    const timing = openQuestion(io, room, questionId);
+    calculateRankings(room);
+
+    io.to(room.roomId).emit("quiz:questionReasked", {
+      message: "The host is asking this question again.",
+      questionId,
+      timing
+    });
+
+    console.log(`Question ${questionId} asked again in room: ${room.roomId}`);
+    return callback(null, gameMasterView(room));
+  };
+
   const endOfGame = (payload, callback) => {
     const room = rooms.get(payload.roomId); // Retrieve the room from the Map
     if (room) {
-      // Calculate rankings before returning room object
-      calculateRankings(room);
-      
-      // Send each player their own player data
-      Object.keys(room.players).forEach((playerId) => {
-        io.to(playerId).emit("quiz:endOfGame", {
-          message: "The game has ended.",
-          roomId: room.roomId,
-          playerData: room.players[playerId]
-        });
-      });
+      if (!authorizeGameMaster(room, payload)) {
+        return callback(notAuthorizedError());
+      }
+
+      // Also closes a self-paced quiz before its closing time
+      endGame(io, room);
       console.log(`End-of-game broadcasted in room: ${room.roomId}`);
-      return callback(null, room); // Return the updated room object
+      return callback(null, gameMasterView(room)); // Return the updated room object
     } else {
       console.error(`Room not found endOfGame: ${payload.roomId}`);
       return callback({ error: true, message: "Room not found" });
     }
   };  
 
+  // Game master starts a rematch in the same room with new settings (same payload as room:create)
+  // Connected players stay in the room with their scores reset, players who have left are dropped
+  // The series tally (seriesScore/seriesWins) carries over unless payload.keepSeriesTally is false
+  const restartQuiz = async (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found restartQuiz: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    const settings = buildGameSettings(payload);
+
+    let firstRound;
+    try {
+      const lockedPacks = await findLockedPacks(settings.rounds, payload.packKeys);
+      if (lockedPacks.length > 0) {
+        return callback(packKeyError(lockedPacks));
+      }
+
+      firstRound = await prepareFirstRound(settings, room);
+    } catch (error) {
+      console.error("Error restarting quiz:", error);
+      return callback({ error: true, message: "Failed to restart quiz" });
+    }
+
+    clearQuestionTimer(room.roomId);
+    clearRoundPrefetch(room.roomId);
+
+    // Add the finished game to the series tally before the scores are reset
+    const keepSeriesTally = payload.keepSeriesTally !== false;
+    const gameFinished = room.phase === "endOfGame";
+    if (gameFinished) {
+      room.gamesPlayed += 1;
+    }
+
+    const players = {};
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      if (player.disconnectedAt) return;
+
+      const restarted = initializePlayer(player.name, null, player.profileId);
+      restarted.bot = player.bot;
+      if (keepSeriesTally) {
+        restarted.seriesScore = player.seriesScore + (gameFinished ? player.totalScore : 0);
+        restarted.seriesWins = player.seriesWins + (gameFinished && player.overallRank === 1 ? 1 : 0);
+      }
+      // Players stay in their team (and keep the captaincy) if it is still there
+      if (settings.teams && settings.teams.some((team) => team.id === player.team)) {
+        restarted.team = player.team;
+        restarted.captain = player.captain;
+      }
+      players[playerId] = restarted;
+    });
+
+    // Players without a team are shared out between the teams
+    const teamDraft = { teams: settings.teams, teamScoring: settings.teamScoring, players };
+    Object.values(players).forEach((player) => {
+      if (settings.teams && !player.team) player.team = assignTeam(teamDraft, null);
+    });
+    ensureCaptains(teamDraft);
+
+    if (!keepSeriesTally) {
+      room.gamesPlayed = 0;
+    }
+
+    Object.assign(room, settings, firstRound, {
+      players,
+      teamStandings: getTeamStandings(teamDraft),
+      quizStarted: false,
+      phase: "lobby",
+      phaseChangedAt: Date.now(),
+      gameStartedAt: null,
+      gameLog: []
+    });
+    if (room.selfPaced) {
+      openSelfPacedQuiz(io, room);
+    }
+
+    // Send each player back to the lobby with their own view of the new game
+    Object.keys(room.players).forEach((playerId) => {
+      io.to(playerId).emit("quiz:restarted", {
+        message: "The host has started a new game.",
+        room: playerView(room, playerId)
+      });
+    });
+
+    updateDisplays(io, room);
+    console.log(`Quiz restarted in room: ${room.roomId} (${Object.keys(room.players).length} players kept)`);
+    return callback(null, gameMasterView(room));
+  };
+
+  // Game master closes the room, players are sent back to the join screen
+  const closeRoomByHost = (payload, callback) => {
+    const room = rooms.get(payload.roomId);
+    if (!room) {
+      console.error(`Room not found closeRoom: ${payload.roomId}`);
+      return callback({ error: true, message: "Room not found" });
+    }
+
+    if (!authorizeGameMaster(room, payload)) {
+      return callback(notAuthorizedError());
+    }
+
+    closeRoom(io, rooms, room, "closedByHost");
+    return callback(null, { message: "Room closed" });
+  };
+
   socket.on("room:create", create);
+  socket.on("room:close", closeRoomByHost);
+  socket.on("quiz:restart", restartQuiz);
   socket.on("quiz:start", startQuiz);
+  socket.on("room:teams", listTeams);
+  socket.on("display:join", displayJoin);
   socket.on("player:join", playerJoin);
   socket.on("player:rejoin", playerRejoin);
+  socket.on("player:kick", kickPlayer);
+  socket.on("player:ban", banPlayer);
+  socket.on("room:lock", lockRoom);
+  socket.on("room:addBots", addBots);
+  socket.on("host:rejoin", hostRejoin);
   socket.on("quiz:nextQuestion", nextQuestion);
   socket.on("quiz:endOfRound", endOfRound);
   socket.on("quiz:nextRound", nextRound);
   socket.on("submitAnswer", submitAnswer);
+  socket.on("player:nextQuestion", playerNextQuestion);
   socket.on("quiz:endOfGame", endOfGame);
+  socket.on("quiz:pause", pause);
+  socket.on("quiz:resume", resume);
+  socket.on("quiz:skipQuestion", skipQuestion);
+  socket.on("quiz:reaskQuestion", reaskQuestion);
 
   // Handle player disconnection - keep player data but mark as disconnected
   socket.on("disconnect", () => {
     // Find all rooms this socket was in and keep player data
     // Player data is kept so they can reconnect with their old socket.id
     for (const [roomId, room] of rooms.entries()) {
+      // The room is kept so the game master can come back with host:rejoin
+      if (room.gameMaster === socket.id) {
+        console.log(`Game master disconnected from room ${roomId}, waiting for host rejoin`);
+        room.hostDisconnectedAt = Date.now();
+        // Self-paced players don't need the host
+        if (!isSelfPacedOpen(room)) {
+          io.to(roomId).emit("host:disconnected", { message: "The host has disconnected." });
+        }
+      }
+
       if (room.players[socket.id]) {
         console.log(`Player ${room.players[socket.id].name} disconnected from room ${roomId}, keeping player data for reconnection`);
         // Player data stays in room.players[socket.id] for potential reconnection
+        // It is removed by the room sweeper if they haven't rejoined within PLAYER_REJOIN_TIMEOUT
         // The socket will leave the room automatically
+        room.players[socket.id].disconnectedAt = Date.now();
+      }
+
+      if (room.gameMaster === socket.id || room.players[socket.id]) {
+        saveRoom(room);
       }
     }
   });
 
 };
 
+export { startRoomSweeper, sweepRooms, restoreRooms };
 export default roomHandler;
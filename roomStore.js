@@ -0,0 +1,131 @@
+import { readdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readJsonFile, writeFileAtomic, removeFile } from "./jsonStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Room storage, so rooms survive a server restart (eg. a deploy or nodemon reload)
+// The rooms Map stays the live copy that roomHandler reads and changes, the store keeps a saved copy of each room
+// Rooms are saved with saveRoom after every change and loaded back with loadRooms when the server starts
+// ROOM_STORE picks the adapter:
+// - "file" (default) - one JSON file per room in ROOM_STORE_PATH (defaults to data/rooms/)
+// - "memory" - kept in this process only, rooms are lost on restart
+// Adapters have load() (every saved room), save(roomId, json) and remove(roomId), all async
+
+const createMemoryAdapter = () => {
+  const saved = new Map();
+
+  return {
+    name: "memory",
+    load: async () => [...saved.values()].map((json) => JSON.parse(json)),
+    save: async (roomId, json) => {
+      saved.set(roomId, json);
+    },
+    remove: async (roomId) => {
+      saved.delete(roomId);
+    }
+  };
+};
+
+const createFileAdapter = (dirPath) => {
+  const getStorePath = () => dirPath || process.env.ROOM_STORE_PATH || path.join(__dirname, "data", "rooms");
+  const getRoomPath = (roomId) => path.join(getStorePath(), `${roomId}.json`);
+
+  return {
+    name: "file",
+    load: async () => {
+      let files;
+      try {
+        files = await readdir(getStorePath());
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const rooms = [];
+      for (const file of files.filter((name) => name.endsWith(".json"))) {
+        try {
+          const room = await readJsonFile(path.join(getStorePath(), file));
+          if (room) rooms.push(room);
+        } catch (error) {
+          console.error(`Error reading saved room ${file}, leaving it out:`, error);
+        }
+      }
+      return rooms;
+    },
+    // Written atomically so a crash mid-write never leaves half a room behind
+    save: (roomId, json) => writeFileAtomic(getRoomPath(roomId), json),
+    remove: async (roomId) => {
+      await removeFile(getRoomPath(roomId));
+    }
+  };
+};
+
+const adapters = {
+  memory: createMemoryAdapter,
+  file: createFileAdapter
+};
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (!adapter) {
+    const name = process.env.ROOM_STORE || "file";
+    if (!adapters[name]) {
+      console.error(`Unknown ROOM_STORE "${name}", using the file store`);
+    }
+    adapter = (adapters[name] || adapters.file)();
+  }
+  return adapter;
+};
+
+// Rooms waiting to be written, keyed by roomId
+// A room changed several times while a write is pending is only written once, with its latest state
+const pendingRooms = new Map();
+let writeQueue = Promise.resolve();
+
+const flushRooms = () => {
+  const rooms = [...pendingRooms.entries()];
+  pendingRooms.clear();
+
+  rooms.forEach(([roomId, room]) => {
+    // The room is turned into JSON now, later changes get their own write
+    const json = room ? JSON.stringify({ ...room, savedAt: Date.now() }) : null;
+    writeQueue = writeQueue.then(async () => {
+      try {
+        if (json) {
+          await getAdapter().save(roomId, json);
+        } else {
+          await getAdapter().remove(roomId);
+        }
+      } catch (error) {
+        console.error(`Error saving room ${roomId}:`, error);
+      }
+    });
+  });
+};
+
+const scheduleWrite = (roomId, room) => {
+  if (pendingRooms.size === 0) {
+    setImmediate(flushRooms);
+  }
+  pendingRooms.set(roomId, room);
+};
+
+// Saves a room once the current event has finished changing it
+const saveRoom = (room) => scheduleWrite(room.roomId, room);
+
+// Forgets a closed room
+const deleteRoom = (roomId) => scheduleWrite(roomId, null);
+
+// Every saved room, as it was when it was last saved (savedAt is when that was)
+const loadRooms = () => getAdapter().load();
+
+// Resolves once every pending save has been written, eg. before the process exits
+const flushRoomStore = () => {
+  flushRooms();
+  return writeQueue;
+};
+
+export { createMemoryAdapter, createFileAdapter, saveRoom, deleteRoom, loadRooms, flushRoomStore };
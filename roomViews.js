@@ -0,0 +1,318 @@
+import { getCurrentRound } from "./rounds.js";
+import { getQuestionType, normalizeText } from "./questionTypes.js";
+
+// Role-aware views of the room object
+// Nothing in roomHandler.js should send a raw room to a client, every emit and callback goes through one of these
+// gameMasterView - everything the host screen needs, including the round's questions and correct answers
+// playerView     - a single player's own stats and what they need to answer, never the questions or answers
+// scoreboardView - public standings that are safe to show to anyone in the room
+// teamsView      - the teams a player can pick from before joining
+// displayView    - what a big screen display shows, the current question without its answer until it closes
+// selfPacedView  - where a player is in a self-paced quiz, with the question they are on (see selfPaced.js)
+// questionResultView       - how the room answered a closed question, for the host screen
+// playerQuestionResultView - how a single player did on a closed question
+
+// Stats for a single player, as shown on end of round/game screens
+const playerStats = (player) => ({
+  name: player.name,
+  bot: player.bot, // Added by the host, see bots.js
+  team: player.team,
+  captain: player.captain,
+  currentRoundScore: player.currentRoundScore,
+  totalScore: player.totalScore,
+  currentRoundAnswers: { ...player.currentRoundAnswers },
+  currentRoundPoints: { ...player.currentRoundPoints },
+  streak: player.streak,
+  connected: !player.disconnectedAt,
+  seriesScore: player.seriesScore,
+  seriesWins: player.seriesWins,
+  endOfRoundRank: player.endOfRoundRank,
+  overallRank: player.overallRank,
+  selfPacedProgress: player.selfPacedProgress ? { ...player.selfPacedProgress } : null // Self-paced quizzes only
+});
+
+// Question timing without the questions themselves
+const progressView = (room) => ({
+  roundIndex: room.currentProgress.roundIndex,
+  totalRounds: room.rounds.length,
+  currentRound: room.currentProgress.currentRound,
+  roundNumber: room.currentProgress.roundNumber,
+  currentQuestion: room.currentProgress.currentQuestion,
+  questionStartedAt: room.currentProgress.questionStartedAt,
+  questionDeadline: room.currentProgress.questionDeadline,
+  questionClosed: room.currentProgress.questionClosed,
+  pausedAt: room.currentProgress.pausedAt // Set while the host has the quiz paused
+});
+
+const gameMasterView = (room) => {
+  const players = {};
+  Object.entries(room.players).forEach(([playerId, player]) => {
+    players[playerId] = playerStats(player);
+  });
+
+  return {
+    roomId: room.roomId,
+    questionTimeLimit: room.questionTimeLimit,
+    questionPerRound: room.questionPerRound,
+    mode: room.mode,
+    rounds: room.rounds,
+    questionSource: room.questionSource,
+    scoring: room.scoring,
+    allowAnswerChange: room.allowAnswerChange,
+    playerGroup: room.playerGroup,
+    teams: room.teams,
+    teamScoring: room.teamScoring,
+    teamStandings: room.teamStandings,
+    maxPlayers: room.maxPlayers,
+    profanityFilter: room.profanityFilter,
+    locked: room.locked,
+    gamesPlayed: room.gamesPlayed,
+    lastGameId: room.lastGameId, // Results of the last finished game, see gameHistory.js
+    selfPaced: room.selfPaced, // { closesAt } when players play at their own pace, see selfPaced.js
+    quizStarted: room.quizStarted,
+    phase: room.phase,
+    players,
+    currentProgress: {
+      ...progressView(room),
+      roundQuestions: room.currentProgress.roundQuestions
+    }
+  };
+};
+
+const playerView = (room, playerId) => {
+  const player = room.players[playerId];
+  const roundQuestions = room.currentProgress.roundQuestions || {};
+  const question = roundQuestions[room.currentProgress.currentQuestion];
+
+  return {
+    roomId: room.roomId,
+    quizStarted: room.quizStarted,
+    phase: room.phase,
+    questionTimeLimit: room.questionTimeLimit,
+    questionPerRound: room.questionPerRound,
+    round: getCurrentRound(room), // Descriptor of the round being played (title, questionCount, difficulty, timeLimit)
+    scoring: room.scoring,
+    allowAnswerChange: room.allowAnswerChange,
+    teams: room.teams,
+    teamScoring: room.teamScoring,
+    currentProgress: progressView(room),
+    questionType: question ? question.type : null,
+    answerLabels: question ? getQuestionType(question.type).answerLabels(question) : [],
+    player: player ? playerStats(player) : null,
+    selfPaced: room.selfPaced && player ? selfPacedView(room, playerId) : null
+  };
+};
+
+// There's no host screen in a self-paced quiz, so the player is sent the question they are on with its answers
+// (never the correct answer) and its timing in the same form as getQuestionTiming in roomHandler.js
+// question is null before the player's first question and once they have finished
+const selfPacedView = (room, playerId) => {
+  const player = room.players[playerId];
+  const progress = player.selfPacedProgress;
+  const questions = room.currentProgress.roundQuestions || {};
+  const question = progress ? questions[progress.questionId] : null;
+  const round = question ? room.rounds[question.roundIndex] : null;
+
+  return {
+    closesAt: room.selfPaced.closesAt,
+    totalQuestions: Object.keys(questions).length,
+    questionId: progress ? progress.questionId : 0,
+    finished: Boolean(progress && progress.finishedAt),
+    question: question
+      ? {
+        questionId: progress.questionId,
+        roundNumber: question.roundIndex + 1,
+        roundTitle: round ? round.title : null,
+        question: question.question,
+        category: question.category,
+        answers: question.allAnswers,
+        questionType: question.type,
+        answerLabels: getQuestionType(question.type).answerLabels(question),
+        startedAt: progress.startedAt,
+        deadline: progress.deadline,
+        timeLimit: question.timeLimit,
+        answered: Boolean(player.currentRoundSubmissions[progress.questionId])
+      }
+      : null,
+    serverTime: Date.now()
+  };
+};
+
+// Players ordered by overall rank, then by name
+const scoreboardView = (room) => ({
+  roomId: room.roomId,
+  players: Object.values(room.players)
+    .map((player) => ({
+      name: player.name,
+      team: player.team,
+      currentRoundScore: player.currentRoundScore,
+      totalScore: player.totalScore,
+      endOfRoundRank: player.endOfRoundRank,
+      overallRank: player.overallRank,
+      seriesScore: player.seriesScore,
+      seriesWins: player.seriesWins
+    }))
+    .sort((a, b) => (a.overallRank || Infinity) - (b.overallRank || Infinity) || a.name.localeCompare(b.name)),
+  teams: room.teamStandings // Team scores and ranks in team play (see getTeamStandings in teams.js), otherwise null
+});
+
+const teamsView = (room) => ({
+  roomId: room.roomId,
+  teamScoring: room.teamScoring,
+  teams: room.teams
+    ? room.teams.map((team) => ({
+      id: team.id,
+      name: team.name,
+      players: Object.values(room.players).filter((player) => player.team === team.id).length
+    }))
+    : null
+});
+
+const MAX_TYPED_ANSWER_GROUPS = 8; // Typed answers are grouped, only the most common are listed
+
+// Where the correct answer is in the list of answers (1-4, 1-2 for True/False), null for typed answers
+const correctAnswerPosition = (question) =>
+  question.allAnswers.includes(question.correct_answer) ? question.allAnswers.indexOf(question.correct_answer) + 1 : null;
+
+// How many players picked each answer
+// Choice questions list every option, typed answers are grouped by their normalised text (or number)
+const answerDistribution = (room, questionId, question) => {
+  const submissions = Object.values(room.players)
+    .filter((player) => player.currentRoundSubmissions[questionId])
+    .map((player) => ({
+      answer: player.currentRoundSubmissions[questionId].answer,
+      isCorrect: player.currentRoundAnswers[questionId] === true
+    }));
+
+  if (question.allAnswers.length > 0) {
+    const labels = getQuestionType(question.type).answerLabels(question);
+    return question.allAnswers.map((answer, index) => ({
+      label: labels[index],
+      answer,
+      count: submissions.filter((submission) => submission.answer === index + 1).length,
+      isCorrect: answer === question.correct_answer
+    }));
+  }
+
+  const groups = new Map();
+  submissions.forEach((submission) => {
+    const key = typeof submission.answer === "number" ? String(submission.answer) : normalizeText(submission.answer);
+    const group = groups.get(key) || { label: null, answer: String(submission.answer), count: 0, isCorrect: submission.isCorrect };
+    group.count += 1;
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, MAX_TYPED_ANSWER_GROUPS);
+};
+
+// Players who got the question right, fastest first
+const correctPlayers = (room, questionId) =>
+  Object.entries(room.players)
+    .filter(([, player]) => player.currentRoundAnswers[questionId] === true && player.currentRoundPoints[questionId])
+    .map(([playerId, player]) => ({
+      playerId,
+      name: player.name,
+      responseTime: player.currentRoundPoints[questionId].responseTime
+    }))
+    .sort((a, b) => a.responseTime - b.responseTime);
+
+const questionResultView = (room, questionId) => {
+  const question = room.currentProgress.roundQuestions[questionId];
+  const players = Object.values(room.players);
+  const correct = correctPlayers(room, questionId);
+
+  return {
+    questionId,
+    questionType: question.type,
+    correctAnswer: correctAnswerPosition(question),
+    correctAnswerText: question.correct_answer,
+    distribution: answerDistribution(room, questionId, question),
+    playerCount: players.length,
+    answeredCount: players.filter((player) => player.currentRoundSubmissions[questionId]).length,
+    correctCount: correct.length,
+    fastestCorrect: correct[0] || null
+  };
+};
+
+// The display never gets the correct answer while the question is open, and no questions before the quiz starts
+const displayView = (room) => {
+  const { currentQuestion, questionClosed } = room.currentProgress;
+  const question = room.quizStarted && room.currentProgress.roundQuestions
+    ? room.currentProgress.roundQuestions[currentQuestion]
+    : null;
+
+  return {
+    roomId: room.roomId,
+    phase: room.phase,
+    quizStarted: room.quizStarted,
+    locked: room.locked,
+    selfPaced: room.selfPaced, // Players play on their own phones, the display stays on the lobby
+    round: getCurrentRound(room),
+    currentProgress: progressView(room),
+    question: question
+      ? {
+        question: question.question,
+        category: question.category,
+        type: question.type,
+        allAnswers: question.allAnswers,
+        answerLabels: getQuestionType(question.type).answerLabels(question),
+        skipped: Boolean(question.skipped),
+        // Skipped questions are thrown out without showing their answer
+        correctAnswer: questionClosed && !question.skipped ? correctAnswerPosition(question) : null,
+        correctAnswerText: questionClosed && !question.skipped ? question.correct_answer : null
+      }
+      : null,
+    players: Object.entries(room.players).map(([playerId, player]) => ({
+      playerId,
+      name: player.name,
+      team: player.team,
+      connected: !player.disconnectedAt,
+      answered: Boolean(question && player.currentRoundSubmissions[currentQuestion])
+    })),
+    teams: room.teams,
+    scoreboard: scoreboardView(room)
+  };
+};
+
+// A team's scores and rank, null for individual play
+const teamStanding = (room, teamId) =>
+  (room.teamStandings && room.teamStandings.find((team) => team.id === teamId)) || null;
+
+// Rankings must be up to date (calculateRankings in roomHandler.js)
+const playerQuestionResultView = (room, playerId, questionId) => {
+  const player = room.players[playerId];
+  const question = room.currentProgress.roundQuestions[questionId];
+  const submission = player.currentRoundSubmissions[questionId];
+  const points = player.currentRoundPoints[questionId];
+  // A self-paced player's numeric answer is only marked once the quiz closes, its answer stays hidden until then
+  const pending = player.currentRoundAnswers[questionId] === null;
+
+  return {
+    questionId,
+    questionType: question.type,
+    pending,
+    answered: Boolean(submission),
+    answer: submission ? submission.answer : null,
+    isCorrect: player.currentRoundAnswers[questionId] === true,
+    points: points ? points.points : 0,
+    streak: player.streak,
+    correctAnswer: pending ? null : correctAnswerPosition(question),
+    correctAnswerText: pending ? null : question.correct_answer,
+    currentRoundScore: player.currentRoundScore,
+    totalScore: player.totalScore,
+    overallRank: player.overallRank,
+    playerCount: Object.keys(room.players).length,
+    team: teamStanding(room, player.team)
+  };
+};
+
+export {
+  playerStats,
+  gameMasterView,
+  playerView,
+  scoreboardView,
+  teamsView,
+  displayView,
+  questionResultView,
+  playerQuestionResultView,
+  selfPacedView
+};
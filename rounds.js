@@ -0,0 +1,164 @@
+import { normalizeQuestionType } from "./questionTypes.js";
+import { getRoundPackId } from "./questionPacks.js";
+
+// Round descriptors, each entry in room.rounds describes one round of the game:
+// { category, sources, questionCount, difficulty, timeLimit, title, questionType }
+// category      - Open Trivia category id, "pack:<id>" for a question pack round, "any" for questions from any
+//                 category, or "mixed" when the round draws from several sources
+// sources       - where the questions come from, [{ category, weight }], questions are shared out by weight
+// questionCount - number of questions in the round
+// difficulty    - "easy", "medium" or "hard"
+// timeLimit     - seconds to answer each question, 0 means the question stays open until everyone answers
+// title         - shown on the round start screen, defaults to the category name
+// questionType  - "multiple", "boolean", "text" or "numeric" (see questionTypes.js), defaults to "multiple"
+// A plain category id (eg. [10, 10, 12]) is still accepted as a round and takes the room-wide settings
+// Mixed rounds are sent as a list of categories, either equally weighted or with weights:
+// { category: [11, 14] } or { categories: [{ category: 11, weight: 2 }, { category: 14, weight: 1 }] }
+
+const categories = {
+  "9": "General Knowledge",
+  "10": "Entertainment: Books",
+  "11": "Entertainment: Film",
+  "12": "Entertainment: Music",
+  "13": "Entertainment: Musicals & Theatres",
+  "14": "Entertainment: Television",
+  "15": "Entertainment: Video Games",
+  "16": "Entertainment: Board Games",
+  "17": "Science & Nature",
+  "18": "Science: Computers",
+  "19": "Science: Mathematics",
+  "20": "Mythology",
+  "21": "Sports",
+  "22": "Geography",
+  "23": "History",
+  "24": "Politics",
+  "25": "Art",
+  "26": "Celebrities",
+  "27": "Animals",
+  "28": "Vehicles",
+  "29": "Entertainment: Comics",
+  "30": "Science: Gadgets",
+  "31": "Entertainment: Japanese Anime & Manga",
+  "32": "Entertainment: Cartoon & Animations"
+};
+
+const ANY_CATEGORY = "any";
+const MIXED_CATEGORY = "mixed";
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const MAX_QUESTIONS_PER_ROUND = 50; // The most Open Trivia DB returns in one request
+const MAX_TITLE_LENGTH = 60;
+
+// Map mode to difficulty levels (1 = Easy, 2 = Medium, 3 = Hard, 4 = Kids)
+const difficultyMap = {
+  1: "easy",
+  2: "medium",
+  3: "hard",
+  4: "easy" // Assuming 'kids' translates to 'easy'
+};
+
+// Accepts a difficulty name or a mode number
+const normalizeDifficulty = (difficulty, fallback) => {
+  if (DIFFICULTIES.includes(difficulty)) return difficulty;
+  return difficultyMap[difficulty] || fallback;
+};
+
+// Name of a category id, questions from providers may already carry the name itself
+const getCategoryName = (category) => {
+  if (category === ANY_CATEGORY) return "Any Category";
+  if (category === MIXED_CATEGORY) return "Mixed Categories";
+  return categories[category] || null;
+};
+
+// Only known categories are accepted, category ids end up in the Open Trivia DB request
+const isCategory = (category) =>
+  category === ANY_CATEGORY ||
+  ((typeof category === "number" || typeof category === "string") && Object.hasOwn(categories, String(category))) ||
+  getRoundPackId(category) !== null;
+
+// The weighted sources of a round, sources with an unknown category or without a finite weight above 0 are dropped
+const normalizeSources = (round) => {
+  const sources = Array.isArray(round.categories)
+    ? round.categories.map((source) => (source !== null && typeof source === "object" ? source : { category: source }))
+    : (Array.isArray(round.category) ? round.category : [round.category]).map((category) => ({ category }));
+
+  return sources
+    .map((source) => ({
+      category: source.category,
+      weight: source.weight === undefined ? 1 : Number(source.weight)
+    }))
+    .filter((source) => isCategory(source.category) && Number.isFinite(source.weight) && source.weight > 0);
+};
+
+// Turns the rounds sent by the game master into round descriptors
+// defaults are the room-wide settings: { questionCount, difficulty, timeLimit }
+// Rounds without a category are dropped
+const normalizeRounds = (rounds, defaults) => {
+  if (!Array.isArray(rounds)) return [];
+
+  return rounds
+    .map((round) => (round !== null && typeof round === "object" && !Array.isArray(round) ? round : { category: round }))
+    .map((round) => ({ ...round, sources: normalizeSources(round) }))
+    .filter((round) => round.sources.length > 0)
+    .map((round) => {
+      const questionCount = Math.floor(Number(round.questionCount));
+      const timeLimit = Number(round.timeLimit);
+      const title = typeof round.title === "string" ? round.title.trim().slice(0, MAX_TITLE_LENGTH) : "";
+      const category = round.sources.length === 1 ? round.sources[0].category : MIXED_CATEGORY;
+
+      return {
+        category,
+        sources: round.sources,
+        questionCount: questionCount > 0 ? Math.min(questionCount, MAX_QUESTIONS_PER_ROUND) : defaults.questionCount,
+        difficulty: normalizeDifficulty(round.difficulty, defaults.difficulty),
+        timeLimit: round.timeLimit !== undefined && timeLimit >= 0 ? timeLimit : defaults.timeLimit,
+        title: title || getCategoryName(category),
+        questionType: normalizeQuestionType(round.questionType)
+      };
+    });
+};
+
+// Shares a round's questions out between its sources by weight (largest remainder first)
+// Returns [{ category, amount }] for the sources that get at least one question
+const allocateQuestions = (round) => {
+  const totalWeight = round.sources.reduce((total, source) => total + source.weight, 0);
+  const shares = round.sources.map((source, index) => {
+    const exact = (round.questionCount * source.weight) / totalWeight;
+    return { index, category: source.category, amount: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let remaining = round.questionCount - shares.reduce((total, share) => total + share.amount, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach((share) => {
+      if (remaining > 0) {
+        share.amount += 1;
+        remaining -= 1;
+      }
+    });
+
+  return shares
+    .filter((share) => share.amount > 0)
+    .map(({ category, amount }) => ({ category, amount }));
+};
+
+// Merges the question lists of each source so every source is spread evenly through the round
+const interleaveQuestions = (batches) =>
+  batches
+    .flatMap((questions) => questions.map((question, index) => ({ question, position: (index + 0.5) / questions.length })))
+    .sort((a, b) => a.position - b.position)
+    .map(({ question }) => question);
+
+// The descriptor for the round being played, null before the first round has been generated
+const getCurrentRound = (room) => room.rounds[room.currentProgress.roundIndex] || null;
+
+export {
+  categories,
+  ANY_CATEGORY,
+  DIFFICULTIES,
+  getCategoryName,
+  normalizeDifficulty,
+  normalizeRounds,
+  allocateQuestions,
+  interleaveQuestions,
+  getCurrentRound
+};
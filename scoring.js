@@ -0,0 +1,70 @@
+// Scoring strategies chosen when the room is created (room.scoring)
+// An empty list is flat scoring: 1 point for a correct answer, nothing for a wrong one
+// speed    - correct answers are worth SPEED_MAX_POINTS, decaying to SPEED_MIN_POINTS over the question's time window
+// streak   - consecutive correct answers multiply the points (x1, x1.5, x2 ... up to STREAK_MAX_MULTIPLIER)
+// negative - wrong answers lose half of the most a correct answer could score
+const SCORING_STRATEGIES = ["speed", "streak", "negative"];
+
+const FLAT_POINTS = 1;
+const SPEED_MAX_POINTS = 10;
+const SPEED_MIN_POINTS = 1;
+const SPEED_DEFAULT_WINDOW = 30000; // Used for questions without a deadline
+const STREAK_STEP = 0.5;
+const STREAK_MAX_MULTIPLIER = 3;
+
+// Keeps only known strategy names
+const normalizeScoring = (scoring) =>
+  Array.isArray(scoring) ? SCORING_STRATEGIES.filter((strategy) => scoring.includes(strategy)) : [];
+
+// Works out the points for one answer
+// player.streak must already include this answer (see recordStreak)
+// startedAt and deadline are the question's, the room's current question unless given (self-paced players each
+// have their own, see selfPaced.js)
+// Returns the breakdown that is sent to the game master and kept with the player's round data:
+// { isCorrect, basePoints, responseTime, streak, multiplier, penalty, points }
+const scoreAnswer = (
+  room,
+  player,
+  { isCorrect, answeredAt, startedAt = room.currentProgress.questionStartedAt, deadline = room.currentProgress.questionDeadline }
+) => {
+  const scoring = room.scoring || [];
+  const responseTime = answeredAt - startedAt;
+  const maxPoints = scoring.includes("speed") ? SPEED_MAX_POINTS : FLAT_POINTS;
+
+  let basePoints = 0;
+  let multiplier = 1;
+  let penalty = 0;
+
+  if (isCorrect) {
+    basePoints = FLAT_POINTS;
+
+    if (scoring.includes("speed")) {
+      const window = deadline ? deadline - startedAt : SPEED_DEFAULT_WINDOW;
+      const remaining = Math.min(Math.max(1 - responseTime / window, 0), 1);
+      basePoints = SPEED_MIN_POINTS + Math.round((SPEED_MAX_POINTS - SPEED_MIN_POINTS) * remaining);
+    }
+
+    if (scoring.includes("streak")) {
+      multiplier = Math.min(1 + STREAK_STEP * (player.streak - 1), STREAK_MAX_MULTIPLIER);
+    }
+  } else if (scoring.includes("negative")) {
+    penalty = -Math.ceil(maxPoints / 2);
+  }
+
+  return {
+    isCorrect,
+    basePoints,
+    responseTime,
+    streak: player.streak,
+    multiplier,
+    penalty,
+    points: isCorrect ? Math.round(basePoints * multiplier) : penalty
+  };
+};
+
+// Streaks count consecutive correct answers, a wrong or missed answer resets them
+const recordStreak = (player, isCorrect) => {
+  player.streak = isCorrect ? (player.streak || 0) + 1 : 0;
+};
+
+export { SCORING_STRATEGIES, normalizeScoring, scoreAnswer, recordStreak };
@@ -0,0 +1,183 @@
+import { parseArgs } from "util";
+import { io as connect } from "socket.io-client";
+import { createBot, roomAnswerKey } from "../bots.js";
+
+// Load simulation: drives hundreds of bot players (see bots.js) against a running server
+// npm run simulate -- --players 200
+// Options:
+//   --url            server to connect to (default http://localhost:8080, or PORT from the environment)
+//   --players        number of bots (default 50)
+//   --room           join an existing room, its host runs the game and the bots guess the answers
+//   --rounds         rounds in the room the script creates (default 2)
+//   --questions      questions per round (default 5)
+//   --time-limit     seconds per question (default 20, 0 waits for every bot to answer)
+//   --accuracy       chance of a right answer for every difficulty (default per difficulty, see bots.js)
+//   --response-time  average milliseconds to answer (default per difficulty, see bots.js)
+//   --spread         standard deviation of the response time in milliseconds
+//   --join-rate      bots joining per second (default 50), 0 joins them all at once
+// Without --room the script creates a room, joins the bots and runs the quiz as the host: it starts the quiz,
+// moves on when each question closes and ends the game after the last round, the bots know the answers from the
+// host's view of the room
+// Rooms hold at most 200 players unless the server is started with a higher MAX_PLAYERS_LIMIT, the script stops
+// before joining any bots when the room it creates can't take them all
+// At the end it prints how long the bots took to join and how quickly the server acknowledged their answers
+
+const { values: options } = parseArgs({
+  options: {
+    url: { type: "string", default: `http://localhost:${process.env.PORT || 8080}` },
+    players: { type: "string", default: "50" },
+    room: { type: "string" },
+    rounds: { type: "string", default: "2" },
+    questions: { type: "string", default: "5" },
+    "time-limit": { type: "string", default: "20" },
+    accuracy: { type: "string" },
+    "response-time": { type: "string" },
+    spread: { type: "string" },
+    "join-rate": { type: "string", default: "50" }
+  }
+});
+
+const playerCount = Number(options.players);
+const joinRate = Number(options["join-rate"]);
+
+// Only the options given on the command line, bots.js fills in the rest
+const skill = {};
+if (options.accuracy !== undefined) skill.accuracy = Number(options.accuracy);
+if (options["response-time"] !== undefined || options.spread !== undefined) {
+  skill.responseTime = {};
+  if (options["response-time"] !== undefined) skill.responseTime.mean = Number(options["response-time"]);
+  if (options.spread !== undefined) skill.responseTime.spread = Number(options.spread);
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const percentile = (values, fraction) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+};
+
+// Emits an event and waits for its callback, the server's error is thrown
+const request = (socket, event, payload) => new Promise((resolve, reject) => {
+  socket.emit(event, payload, (err, data) => (err ? reject(new Error(`${event}: ${err.message || err.error}`)) : resolve(data)));
+});
+
+// The host side: creates the room and keeps its game master view up to date for the bots' answer key
+const createHost = async () => {
+  const socket = connect(options.url, { transports: ["websocket"], forceNew: true });
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("connect_error", reject);
+  });
+
+  const room = await request(socket, "room:create", {
+    questionTimeLimit: Number(options["time-limit"]),
+    questionPerRound: Number(options.questions),
+    rounds: Array.from({ length: Number(options.rounds) }, () => 9), // General Knowledge
+    mode: "1",
+    maxPlayers: playerCount
+  });
+  return { socket, room, auth: { roomId: room.roomId, hostToken: room.hostToken } };
+};
+
+// Runs the quiz like the host screen would, without the pauses between screens
+const runQuiz = async (host) => {
+  const questionClosed = () => new Promise((resolve) => host.socket.once("quiz:questionClosed", resolve));
+
+  let closed = questionClosed();
+  await request(host.socket, "quiz:start", host.auth); // The room from room:create already has the first question
+  for (;;) {
+    await closed;
+    const { currentQuestion, roundQuestions, roundIndex } = host.room.currentProgress;
+
+    if (currentQuestion < Object.keys(roundQuestions).length) {
+      closed = questionClosed();
+      host.room = await request(host.socket, "quiz:nextQuestion", { ...host.auth, questionId: currentQuestion + 1 });
+    } else if (host.room.rounds[roundIndex + 1]) {
+      host.room = await request(host.socket, "quiz:endOfRound", host.auth);
+      closed = questionClosed();
+      host.room = await request(host.socket, "quiz:nextRound", host.auth);
+    } else {
+      host.room = await request(host.socket, "quiz:endOfRound", host.auth);
+      host.room = await request(host.socket, "quiz:endOfGame", host.auth);
+      return;
+    }
+  }
+};
+
+const joinBots = async (roomId, answerKey) => {
+  const started = Date.now();
+  const joining = [];
+  for (let number = 1; number <= playerCount; number++) {
+    joining.push(createBot({ url: options.url, roomId, name: `Sim ${number}`, skill, answerKey }));
+    if (joinRate > 0 && number % joinRate === 0) await wait(1000);
+  }
+
+  const results = await Promise.allSettled(joining);
+  const bots = results.filter((result) => result.status === "fulfilled").map((result) => result.value);
+  const failures = results.filter((result) => result.status === "rejected");
+  console.log(`${bots.length} of ${playerCount} bots joined room ${roomId} in ${Date.now() - started}ms`);
+  if (failures.length > 0) {
+    console.log(`First join error: ${failures[0].reason.message}`);
+  }
+  if (bots.length === 0) {
+    throw new Error("No bots could join the room");
+  }
+  return bots;
+};
+
+const report = (bots, started) => {
+  const ackTimes = bots.flatMap((bot) => bot.stats.ackTimes);
+  const total = (field) => bots.reduce((sum, bot) => sum + bot.stats[field], 0);
+
+  console.log(`Game took ${Math.round((Date.now() - started) / 1000)}s`);
+  console.log(`Answers accepted: ${total("answers")}, refused: ${total("errors")}, missed: ${total("missed")}`);
+  console.log(
+    `Answer acknowledgement: median ${percentile(ackTimes, 0.5)}ms, ` +
+    `95th percentile ${percentile(ackTimes, 0.95)}ms, slowest ${percentile(ackTimes, 1)}ms`
+  );
+};
+
+const main = async () => {
+  if (!Number.isInteger(playerCount) || playerCount < 1) {
+    throw new Error("--players must be a whole number of at least 1");
+  }
+
+  if (options.room) {
+    const bots = await joinBots(options.room, null);
+    const started = Date.now();
+    console.log("Waiting for the host to run the quiz (Ctrl+C to stop)");
+    process.once("SIGINT", () => bots.forEach((bot) => bot.stop()));
+    await Promise.all(bots.map((bot) => bot.ended));
+    report(bots, started);
+    bots.forEach((bot) => bot.stop());
+    return;
+  }
+
+  const host = await createHost();
+  if (host.room.maxPlayers < playerCount) {
+    await request(host.socket, "room:close", host.auth).catch(() => {});
+    host.socket.disconnect();
+    throw new Error(
+      `The server lets at most ${host.room.maxPlayers} players into a room, ` +
+      `start it with MAX_PLAYERS_LIMIT=${playerCount} to simulate ${playerCount} players`
+    );
+  }
+  console.log(`Created room ${host.room.roomId}`);
+  const bots = await joinBots(host.room.roomId, roomAnswerKey(() => host.room));
+
+  const started = Date.now();
+  try {
+    await runQuiz(host);
+    report(bots, started);
+  } finally {
+    await request(host.socket, "room:close", host.auth).catch(() => {});
+    bots.forEach((bot) => bot.stop());
+    host.socket.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("Simulation failed:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+// Self-paced quizzes run without a host screen: every player moves through the room's questions on their own
+// The host creates the room with a closing time (room.selfPaced.closesAt), players can join and play until then
+// Every round's questions are loaded when the room is created and played as one list (see flattenRounds),
+// each question keeps the round it came from and that round's time limit
+// Each player has their own progress (player.selfPacedProgress) with a deadline for the question they are on
+// When the room closes the final standings are worked out and sent to the players, see closeSelfPacedQuiz
+// in roomHandler.js
+
+const DEFAULT_SELF_PACED_DURATION = 24 * 60 * 60 * 1000; // Used when the host doesn't pick a closing time
+const MIN_SELF_PACED_DURATION = 60 * 1000;
+const MAX_SELF_PACED_DURATION = 14 * 24 * 60 * 60 * 1000; // Also keeps the closing timer within setTimeout's limit
+
+// null for a quiz run by the host, otherwise { closesAt }
+// closesAt is a timestamp or a date string, it is kept between a minute and two weeks from now
+const normalizeSelfPaced = (selfPaced, now = Date.now()) => {
+  if (!selfPaced || typeof selfPaced !== "object") return null;
+
+  const closesAt = typeof selfPaced.closesAt === "string" ? Date.parse(selfPaced.closesAt) : Number(selfPaced.closesAt);
+  if (!selfPaced.closesAt || !Number.isFinite(closesAt)) {
+    return { closesAt: now + DEFAULT_SELF_PACED_DURATION };
+  }
+  return {
+    closesAt: Math.min(Math.max(closesAt, now + MIN_SELF_PACED_DURATION), now + MAX_SELF_PACED_DURATION)
+  };
+};
+
+// Players can still join and answer until the quiz closes
+const isSelfPacedOpen = (room) => Boolean(room.selfPaced) && room.phase !== "endOfGame";
+
+// Every round's questions as one list numbered from 1, in round order
+// roundQuestionsList has the questions of each round ({ 1: question, 2: question ... }), in the order of rounds
+// Each question gets its roundIndex, its number in its round (roundQuestionId) and its round's timeLimit in seconds
+const flattenRounds = (rounds, roundQuestionsList) => {
+  const questions = {};
+  let questionId = 0;
+
+  roundQuestionsList.forEach((roundQuestions, roundIndex) => {
+    Object.keys(roundQuestions || {})
+      .sort((a, b) => a - b)
+      .forEach((roundQuestionId) => {
+        questionId += 1;
+        questions[questionId] = {
+          ...roundQuestions[roundQuestionId],
+          roundIndex,
+          roundQuestionId: Number(roundQuestionId),
+          timeLimit: rounds[roundIndex].timeLimit
+        };
+      });
+  });
+
+  return questions;
+};
+
+// questionId is 0 until the player asks for their first question and past the last question once they have finished
+const initializeSelfPacedProgress = () => ({
+  questionId: 0,
+  startedAt: null,
+  deadline: null, // null for questions without a time limit
+  finishedAt: null
+});
+
+// Moves a player on to their next question and starts its countdown
+const advanceSelfPacedProgress = (progress, questions, now = Date.now()) => {
+  const questionId = progress.questionId + 1;
+  const question = questions[questionId];
+
+  progress.questionId = questionId;
+  progress.startedAt = question ? now : null;
+  progress.deadline = question && question.timeLimit > 0 ? now + question.timeLimit * 1000 : null;
+  if (!question) {
+    progress.finishedAt = now;
+  }
+  return progress;
+};
+
+export {
+  normalizeSelfPaced,
+  isSelfPacedOpen,
+  flattenRounds,
+  initializeSelfPacedProgress,
+  advanceSelfPacedProgress
+};
@@ -0,0 +1,115 @@
+// Team play, set up when the room is created (room.teams and room.teamScoring)
+// room.teams is null for individual play, otherwise [{ id, name }] where id is made from the name (eg. "sales")
+// Players pick a team when they join (or are put in the smallest team) and keep it in player.team
+// Each team has one captain (player.captain), the first player to join it
+// teamScoring decides how a team's score is worked out from its players' scores:
+// sum     - every player's points count
+// average - the average of the team's players, so teams of different sizes can compete
+// captain - only the captain answers, for the whole team
+
+const TEAM_SCORING = ["sum", "average", "captain"];
+const MAX_TEAMS = 10;
+const MAX_TEAM_NAME_LENGTH = 30;
+
+// Teams can be sent as names or as { name } objects, empty and repeated names are dropped
+// Fewer than two teams means individual play (null)
+const normalizeTeams = (teams) => {
+  if (!Array.isArray(teams)) return null;
+
+  const names = [];
+  teams.forEach((team) => {
+    const name = team !== null && typeof team === "object" ? team.name : team;
+    if (typeof name !== "string") return;
+
+    const trimmed = name.trim().slice(0, MAX_TEAM_NAME_LENGTH);
+    if (trimmed && !names.some((existing) => existing.toLowerCase() === trimmed.toLowerCase())) {
+      names.push(trimmed);
+    }
+  });
+
+  if (names.length < 2) return null;
+
+  // Ids come from the names, so players stay in their team when a rematch keeps the same team names
+  const ids = [];
+  return names.slice(0, MAX_TEAMS).map((name, index) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || `team-${index + 1}`;
+    const id = ids.includes(slug) ? `${slug}-${index + 1}` : slug;
+    ids.push(id);
+    return { id, name };
+  });
+};
+
+const normalizeTeamScoring = (teamScoring) => (TEAM_SCORING.includes(teamScoring) ? teamScoring : "sum");
+
+const teamMembers = (room, teamId) => Object.values(room.players).filter((player) => player.team === teamId);
+
+// The team a joining player goes in: the team they asked for, or the one with the fewest players
+const assignTeam = (room, requestedTeamId) => {
+  if (!room.teams) return null;
+  if (room.teams.some((team) => team.id === String(requestedTeamId))) return String(requestedTeamId);
+
+  return room.teams.reduce((smallest, team) =>
+    teamMembers(room, team.id).length < teamMembers(room, smallest.id).length ? team : smallest
+  ).id;
+};
+
+// Makes sure every team with players has exactly one captain, eg. after the captain left the room
+// The longest standing connected player takes over
+const ensureCaptains = (room) => {
+  if (!room.teams) return;
+
+  room.teams.forEach((team) => {
+    const members = teamMembers(room, team.id);
+    if (members.length === 0 || members.some((player) => player.captain)) return;
+
+    const captain = members.find((player) => !player.disconnectedAt) || members[0];
+    captain.captain = true;
+  });
+};
+
+// Only captains answer in captain mode, everyone answers otherwise
+const canAnswer = (room, player) => !room.teams || room.teamScoring !== "captain" || player.captain;
+
+const teamScore = (room, members, field) => {
+  if (members.length === 0) return 0;
+  if (room.teamScoring === "captain") {
+    const captain = members.find((player) => player.captain);
+    return captain ? captain[field] : 0;
+  }
+
+  const total = members.reduce((sum, player) => sum + player[field], 0);
+  return room.teamScoring === "average" ? Math.round((total / members.length) * 10) / 10 : total;
+};
+
+// Ranks by score, players (or teams) with the same score share a rank and the next rank skips
+const rankBy = (entries, field, rankField) => {
+  const sorted = [...entries].sort((a, b) => b[field] - a[field]);
+  sorted.forEach((entry, index) => {
+    entry[rankField] = index > 0 && entry[field] === sorted[index - 1][field] ? sorted[index - 1][rankField] : index + 1;
+  });
+};
+
+// Team scores and ranks, best team first:
+// [{ id, name, players, captain, currentRoundScore, totalScore, endOfRoundRank, overallRank }]
+const getTeamStandings = (room) => {
+  if (!room.teams) return null;
+
+  const standings = room.teams.map((team) => {
+    const members = teamMembers(room, team.id);
+    const captain = members.find((player) => player.captain);
+    return {
+      id: team.id,
+      name: team.name,
+      players: members.length,
+      captain: captain ? captain.name : null,
+      currentRoundScore: teamScore(room, members, "currentRoundScore"),
+      totalScore: teamScore(room, members, "totalScore")
+    };
+  });
+
+  rankBy(standings, "currentRoundScore", "endOfRoundRank");
+  rankBy(standings, "totalScore", "overallRank");
+  return standings.sort((a, b) => a.overallRank - b.overallRank || a.name.localeCompare(b.name));
+};
+
+export { TEAM_SCORING, normalizeTeams, normalizeTeamScoring, assignTeam, ensureCaptains, canAnswer, getTeamStandings };
@@ -0,0 +1,19 @@
+import { randomBytes, timingSafeEqual } from "crypto";
+
+// Secret tokens the server hands out: the host token a room's game master controls the quiz with and the key each
+// question pack is managed with
+
+const generateToken = () => randomBytes(24).toString("hex");
+
+// Compares a token someone sent with the real one in constant time, so the comparison doesn't give away how much of
+// the token was right
+// Anything that isn't a string (a missing token included) never matches
+const tokensMatch = (sent, expected) => {
+  if (typeof sent !== "string" || typeof expected !== "string" || expected === "") return false;
+
+  const sentBuffer = Buffer.from(sent);
+  const expectedBuffer = Buffer.from(expected);
+  return sentBuffer.length === expectedBuffer.length && timingSafeEqual(sentBuffer, expectedBuffer);
+};
+
+export { generateToken, tokensMatch };